@@ -2,6 +2,16 @@
 module.exports = {
   rules: {
     'no-undefined-classes': require('./rules/no-undefined-classes'),
+    'classnames-order': require('./rules/classnames-order'),
+    'no-conflicting-classes': require('./rules/no-conflicting-classes'),
+    'no-deprecated-v3-classes': require('./rules/no-deprecated-v3-classes'),
+    'enforce-shorthand': require('./rules/enforce-shorthand'),
+    'no-duplicate-classes': require('./rules/no-duplicate-classes'),
+    'prefer-theme-tokens': require('./rules/prefer-theme-tokens'),
+  },
+  processors: {
+    css: require('./lib/css-processor'),
+    html: require('./lib/html-processor'),
   },
   configs: {
     recommended: {
@@ -10,5 +20,17 @@ module.exports = {
         'tailwind-v4/no-undefined-classes': 'error',
       },
     },
+    all: {
+      plugins: ['tailwind-v4'],
+      rules: {
+        'tailwind-v4/no-undefined-classes': 'error',
+        'tailwind-v4/classnames-order': 'warn',
+        'tailwind-v4/no-conflicting-classes': 'warn',
+        'tailwind-v4/no-deprecated-v3-classes': 'warn',
+        'tailwind-v4/enforce-shorthand': 'warn',
+        'tailwind-v4/no-duplicate-classes': 'warn',
+        'tailwind-v4/prefer-theme-tokens': 'warn',
+      },
+    },
   },
 };
\ No newline at end of file
@@ -0,0 +1,234 @@
+// =============================================================================
+// VALUE TYPES
+// =============================================================================
+
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const LENGTH_UNITS = 'px|rem|em|ex|ch|lh|rlh|cap|ic|vw|vh|vi|vb|vmin|vmax|svw|svh|lvw|lvh|dvw|dvh|cqw|cqh|cqi|cqb|cqmin|cqmax|cm|mm|q|in|pt|pc';
+
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`, 'i');
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const LENGTH_PATTERN = new RegExp(`^(?:${NUMBER}(?:${LENGTH_UNITS})|[+-]?0)$`, 'i');
+const PERCENTAGE_PATTERN = new RegExp(`^${NUMBER}%$`, 'i');
+const ANGLE_PATTERN = new RegExp(`^(?:${NUMBER}(?:deg|rad|grad|turn)|[+-]?0)$`, 'i');
+const TIME_PATTERN = new RegExp(`^${NUMBER}m?s$`, 'i');
+const RATIO_PATTERN = new RegExp(`^${NUMBER}\\s*(?:\\/\\s*${NUMBER})?$`, 'i');
+
+// Functions that resolve to whatever numeric type the property expects
+const MATH_FUNCTION = /^(?:calc|min|max|clamp|round|mod|rem|abs|sign|env|--spacing|--value)\(.*\)$/i;
+const COLOR_FUNCTION = /^(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix|light-dark)\(.*\)$/i;
+const IMAGE_FUNCTION = /^(?:url|image-set|cross-fade|element|(?:repeating-)?(?:linear|radial|conic)-gradient)\(.*\)$/i;
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const NAMED_COLORS = new Set(`
+  transparent currentcolor inherit initial unset aliceblue antiquewhite aqua aquamarine azure beige bisque black
+  blanchedalmond blue blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk
+  crimson cyan darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen
+  darkorange darkorchid darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey darkturquoise
+  darkviolet deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro
+  ghostwhite gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender
+  lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow lightgray lightgreen
+  lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray lightslategrey lightsteelblue
+  lightyellow lime limegreen linen magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple
+  mediumseagreen mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream
+  mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid palegoldenrod palegreen
+  paleturquoise palevioletred papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red rosybrown
+  royalblue saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray slategrey
+  snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen
+`.trim().split(/\s+/));
+
+const SIZE_KEYWORDS = ['auto', 'none', 'fit-content', 'min-content', 'max-content', 'stretch', 'inherit', 'initial', 'unset'];
+
+const isNumeric = pattern => value => pattern.test(value) || MATH_FUNCTION.test(value);
+
+const TYPE_CHECKS = {
+  color: value => HEX_COLOR.test(value) || COLOR_FUNCTION.test(value) || NAMED_COLORS.has(value.toLowerCase()),
+  length: value => isNumeric(LENGTH_PATTERN)(value) || SIZE_KEYWORDS.includes(value),
+  percentage: isNumeric(PERCENTAGE_PATTERN),
+  number: isNumeric(NUMBER_PATTERN),
+  integer: isNumeric(INTEGER_PATTERN),
+  angle: isNumeric(ANGLE_PATTERN),
+  time: isNumeric(TIME_PATTERN),
+  ratio: isNumeric(RATIO_PATTERN),
+  url: value => /^url\(.*\)$/i.test(value),
+  image: value => IMAGE_FUNCTION.test(value) || value === 'none',
+};
+
+// Type hints (`text-[length:1rem]`) and the types they stand for; other hints
+// (`family-name`, `position`, `shadow`, ...) aren't checked
+const TYPE_HINTS = {
+  color: ['color'],
+  length: ['length', 'percentage'],
+  'line-width': ['length'],
+  percentage: ['percentage'],
+  number: ['number'],
+  integer: ['integer'],
+  angle: ['angle'],
+  url: ['url'],
+  image: ['image'],
+  ratio: ['ratio'],
+};
+
+/**
+ * The value types each utility accepts without a type hint, keyed by the
+ * utility name before `-[`. Utilities that aren't listed accept any value.
+ */
+const UTILITY_TYPES = [
+  [/^bg$/, ['color', 'image']],
+  [/^text$/, ['color', 'length', 'percentage']],
+  [/^(border(-[xytrblse])?|divide(-[xy])?|outline|ring|ring-offset|inset-ring|decoration)$/, ['color', 'length']],
+  [/^stroke$/, ['color', 'length', 'number']],
+  [/^(fill|accent|caret|placeholder)$/, ['color']],
+  [/^(from|via|to)$/, ['color', 'percentage']],
+  [/^(w|h|size|min-w|min-h|max-w|max-h|basis|p[xytrblse]?|m[xytrblse]?|gap(-[xy])?|space-[xy]|inset(-[xy])?|top|right|bottom|left|start|end|scroll-[pm][xytrblse]?|indent|translate(-[xyz])?|tracking|underline-offset|outline-offset|rounded(-(tl|tr|br|bl|ss|se|es|ee|[trblse]))?|border-spacing(-[xy])?|perspective|blur|backdrop-blur)$/, ['length', 'percentage']],
+  [/^leading$/, ['length', 'percentage', 'number']],
+  [/^(opacity|grow|shrink|scale(-[xyz])?|brightness|contrast|saturate|grayscale|invert|sepia|backdrop-(brightness|contrast|saturate|grayscale|invert|sepia|opacity))$/, ['number', 'percentage']],
+  [/^(z|order|line-clamp|columns)$/, ['integer', 'length']],
+  [/^(rotate(-[xyz])?|skew(-[xy])?|hue-rotate|backdrop-hue-rotate)$/, ['angle']],
+  [/^(duration|delay)$/, ['time']],
+  [/^aspect$/, ['ratio']],
+];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+// Whether every `(`, `[` and `{` is closed in order, ignoring quoted strings
+function isBalanced(value) {
+  const closers = { '(': ')', '[': ']', '{': '}' };
+  const stack = [];
+  let quote = null;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (closers[char]) {
+      stack.push(closers[char]);
+    } else if (Object.values(closers).includes(char) && stack.pop() !== char) {
+      return false;
+    }
+  }
+
+  return stack.length === 0 && !quote;
+}
+
+// Split on top-level whitespace, keeping `rgb(0 0 0)` and `calc(1px + 2px)` whole
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+
+    if (/\s/.test(char) && depth === 0) {
+      if (current) parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Split `bg-[#fff]/50` or `-mt-[length:2px]` into the utility name, type hint,
+ * value (with `_` turned back into spaces), leading `-` and trailing modifier
+ * (`/50`). Returns null for classes without an arbitrary value, and
+ * `{ balanced: false }` for unclosed brackets.
+ */
+function parseArbitraryValue(utility) {
+  const match = /^-?([a-z@][\w-]*?)-\[(.*)$/.exec(utility);
+  if (!match) return null;
+
+  const [, name, rest] = match;
+  let depth = 1;
+  let end = -1;
+  for (let i = 0; i < rest.length && end === -1; i++) {
+    if (rest[i] === '\\') i++;
+    else if (rest[i] === '[') depth++;
+    else if (rest[i] === ']' && --depth === 0) end = i;
+  }
+
+  if (end === -1) return { name, balanced: false };
+
+  const raw = rest.slice(0, end);
+  const hintMatch = /^([a-z][a-z-]*):(?!:)(.*)$/.exec(raw);
+  const hint = hintMatch ? hintMatch[1] : null;
+  const rawValue = hintMatch ? hintMatch[2] : raw;
+  const value = /^url\(/i.test(rawValue)
+    ? rawValue
+    : rawValue.replace(/\\_|_/g, underscore => (underscore === '_' ? ' ' : '_'));
+
+  return {
+    name,
+    hint,
+    value,
+    negative: utility.startsWith('-'),
+    modifier: rest.slice(end + 1),
+    balanced: isBalanced(raw),
+  };
+}
+
+// `var(--brand, var(--fallback))` -> ['brand', 'fallback']
+function getVariableReferences(value) {
+  return Array.from(value.matchAll(/var\(\s*--([\w-]+)/g), match => match[1]);
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Check the arbitrary value of a base utility (variants and `!` removed).
+ * Returns null when it is fine, or `{ problem, value, expected, variable }`
+ * with `problem` one of `unbalanced`, `variable` or `type`.
+ * `isKnownVariable(name)` decides whether a `var(--name)` reference exists.
+ */
+function checkArbitraryValue(utility, isKnownVariable) {
+  const parsed = parseArbitraryValue(utility);
+  if (!parsed) return null;
+
+  if (!parsed.balanced) {
+    return { problem: 'unbalanced' };
+  }
+
+  const { name, hint, value } = parsed;
+
+  const variable = getVariableReferences(value).find(reference => !isKnownVariable(reference));
+  if (variable) {
+    return { problem: 'variable', value, variable };
+  }
+
+  // A bare `var()` can hold anything; Tailwind resolves its type from the hint or the utility
+  if (/^var\(.*\)$/.test(value)) return null;
+
+  let types = null;
+  if (hint) {
+    types = TYPE_HINTS[hint] || null;
+  } else {
+    const entry = UTILITY_TYPES.find(([pattern]) => pattern.test(name));
+    types = entry ? entry[1] : null;
+  }
+  if (!types) return null;
+
+  const parts = splitTopLevel(value);
+  const matchesType = part => /^var\(.*\)$/.test(part) || types.some(type => TYPE_CHECKS[type](part));
+  if (parts.length > 0 && parts.every(matchesType)) return null;
+
+  return { problem: 'type', value, expected: types.join(' or ') };
+}
+
+module.exports = {
+  checkArbitraryValue,
+  isBalanced,
+  parseArbitraryValue,
+};
@@ -0,0 +1,156 @@
+const { APPLY_CALLEE } = require('./class-sources');
+
+// Everything before the quoted class list on a generated line: `__tailwindApply(`
+const LINE_PREFIX = `${APPLY_CALLEE}(`;
+
+// Per-file state between preprocess and postprocess, keyed by filename
+const fileBlocks = new Map();
+
+// =============================================================================
+// OFFSETS
+// =============================================================================
+
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+// Index of the line containing `offset`
+function findLine(lineStarts, offset) {
+  let line = 0;
+  while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+  return line;
+}
+
+/**
+ * A class list as a JS string literal, with the list offset each character
+ * between the quotes came from (plus the list length). Single quotes are used
+ * for lists containing only double quotes; otherwise `\` and `"` are escaped,
+ * and the escape maps to the character it escapes.
+ */
+function quoteClassList(classList) {
+  const quote = classList.includes('"') && !classList.includes("'") ? "'" : '"';
+  const sourceOffsets = [];
+  let body = '';
+
+  for (let i = 0; i < classList.length; i++) {
+    if (classList[i] === '\\' || classList[i] === quote) {
+      body += '\\';
+      sourceOffsets.push(i);
+    }
+    body += classList[i];
+    sourceOffsets.push(i);
+  }
+  sourceOffsets.push(classList.length);
+
+  return { literal: `${quote}${body}${quote}`, sourceOffsets };
+}
+
+// =============================================================================
+// POSTPROCESS
+// =============================================================================
+
+/**
+ * Map a message from the generated code back onto the original file. A position
+ * inside a class list keeps its offset from the start of the list; anything
+ * else (the call itself) lands on the start of the list.
+ */
+function createLocationMapper({ text, lists, codeLineStarts }) {
+  const textLineStarts = getLineStarts(text);
+
+  function toTextOffset(codeOffset) {
+    const line = findLine(codeLineStarts, codeOffset);
+    const list = lists[line];
+    const inner = codeOffset - codeLineStarts[line] - LINE_PREFIX.length - 1;
+    const { sourceOffsets } = list;
+
+    return list.start + sourceOffsets[Math.min(Math.max(inner, 0), sourceOffsets.length - 1)];
+  }
+
+  function toTextLocation(codeLine, codeColumn) {
+    const offset = toTextOffset(codeLineStarts[codeLine - 1] + codeColumn - 1);
+    const line = findLine(textLineStarts, offset);
+    return { line: line + 1, column: offset - textLineStarts[line] + 1 };
+  }
+
+  function mapFix(fix) {
+    return fix && { ...fix, range: fix.range.map(toTextOffset) };
+  }
+
+  return function mapMessage(message) {
+    if (!message.line || lists.length === 0) return message;
+
+    const start = toTextLocation(message.line, message.column);
+    const end = message.endLine ? toTextLocation(message.endLine, message.endColumn) : null;
+
+    return {
+      ...message,
+      line: start.line,
+      column: start.column,
+      ...(end ? { endLine: end.line, endColumn: end.column } : {}),
+      ...(message.fix ? { fix: mapFix(message.fix) } : {}),
+      ...(message.suggestions
+        ? { suggestions: message.suggestions.map(suggestion => ({ ...suggestion, fix: mapFix(suggestion.fix) })) }
+        : {}),
+    };
+  };
+}
+
+/**
+ * Only this plugin's rules (and parse errors) have anything to say about the
+ * original file. Others, such as `no-undef` from a config matching `*.js`,
+ * would report on the generated `__tailwindApply(...)` calls.
+ */
+function isPluginMessage({ ruleId }) {
+  if (!ruleId) return true;
+
+  // Required here because the plugin entry point loads this module
+  const { rules } = require('../index');
+  const separator = ruleId.lastIndexOf('/');
+  return separator !== -1 && Object.prototype.hasOwnProperty.call(rules, ruleId.slice(separator + 1));
+}
+
+function postprocess(messages, filename) {
+  const blocks = fileBlocks.get(filename);
+  fileBlocks.delete(filename);
+  if (!blocks) return [].concat(...messages);
+
+  return [].concat(...messages).filter(isPluginMessage).map(createLocationMapper(blocks));
+}
+
+// =============================================================================
+// PROCESSOR
+// =============================================================================
+
+/**
+ * Build an ESLint processor that lints class lists embedded in another
+ * language. `extractClassLists(text)` returns `{ classList, start }` entries,
+ * `start` being the list's offset in the file; each becomes one line
+ * `__tailwindApply("...");`, which the class source visitors always treat as
+ * a class list, and reports from the plugin's rules are mapped back onto the
+ * original file.
+ */
+function createClassListProcessor(name, extractClassLists) {
+  function preprocess(text, filename) {
+    const lists = extractClassLists(text).map(list => ({ ...list, ...quoteClassList(list.classList) }));
+    const code = lists.map(({ literal }) => `${LINE_PREFIX}${literal});`).join('\n');
+
+    fileBlocks.set(filename, { text, lists, codeLineStarts: getLineStarts(code) });
+
+    return [{ text: code, filename: 'classes.js' }];
+  }
+
+  return {
+    meta: { name },
+    preprocess,
+    postprocess,
+    supportsAutofix: true,
+  };
+}
+
+module.exports = {
+  createClassListProcessor,
+};
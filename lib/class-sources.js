@@ -0,0 +1,525 @@
+const { globToRegExp, regexArraySchema, stringArraySchema } = require('./utils');
+
+const DEFAULT_CALLEES = ['cn', 'clsx', 'cva', 'tw', 'twMerge', 'twJoin', 'classnames', 'tv'];
+const DEFAULT_ATTRIBUTES = ['^class$', '^className$', '^class:list$'];
+const DEFAULT_TAGS = ['tw'];
+
+// Callee of the lines the CSS processor generates from `@apply`; always a class list
+const APPLY_CALLEE = '__tailwindApply';
+
+// Options shared by every rule that looks at class lists
+const classSourceSchema = {
+  callees: stringArraySchema('Function names whose arguments are class lists'),
+  calleePatterns: regexArraySchema('Regular expressions matching function names whose arguments are class lists'),
+  attributes: regexArraySchema('Regular expressions matching attribute names (JSX, Vue, Svelte, Astro) that hold class lists'),
+  tags: stringArraySchema('Tag names of tagged templates that hold class lists'),
+  variables: stringArraySchema('Glob patterns (e.g. `*Classes`) matching variable names initialised with class lists'),
+};
+
+// `\u{1F600}` -> 2, a line continuation -> 0, any other escape -> 1
+function getEscapeLength(escape) {
+  if (/^\\(\r\n|[\r\n\u2028\u2029])$/.test(escape)) return 0;
+
+  const codePoint = /^\\u\{([0-9a-fA-F]+)\}$/.exec(escape);
+  return codePoint ? String.fromCodePoint(parseInt(codePoint[1], 16)).length : 1;
+}
+
+/**
+ * Where each character of a string literal's value starts in its raw text
+ * (quotes excluded), plus the raw length, so classes after an escape such as
+ * `\"` still get exact ranges.
+ */
+function getRawOffsets(raw) {
+  const offsets = [];
+
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] !== '\\') {
+      offsets.push(i);
+      continue;
+    }
+
+    const [escape] = /^\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[0-3][0-7]{0,2}|[4-7][0-7]?|\r\n|[\s\S])/.exec(raw.slice(i));
+    for (let k = 0; k < getEscapeLength(escape); k++) offsets.push(i);
+    i += escape.length - 1;
+  }
+
+  offsets.push(raw.length);
+  return offsets;
+}
+
+/**
+ * Build the visitors that find class lists (class attributes, helper calls such
+ * as `cn()`/`cva()`/`tv()`, tagged templates and matching variables) and hand
+ * the classes of each source to `onClasses(classEntries, sourceNode)`. Besides
+ * JSX, attributes are read from `vue-eslint-parser` templates (`class`,
+ * `:class`), `svelte-eslint-parser` (`class=`, `class:name={...}`) and
+ * `astro-eslint-parser` (`class`, `class:list`).
+ */
+function createClassSourceVisitors(context, onClasses) {
+  const options = context.options[0] || {};
+  const {
+    callees = DEFAULT_CALLEES,
+    calleePatterns = [],
+    attributes = DEFAULT_ATTRIBUTES,
+    tags = DEFAULT_TAGS,
+    variables = [],
+  } = options;
+
+  const sourceCode = context.sourceCode || context.getSourceCode();
+  const calleeRegexes = calleePatterns.map(pattern => new RegExp(pattern));
+  const attributeRegexes = attributes.map(pattern => new RegExp(pattern));
+  const variableRegexes = variables.map(globToRegExp);
+
+  // ===========================================================================
+  // EXTRACTION
+  // ===========================================================================
+
+  /**
+   * Collect every statically known class in an expression as `{ className, node, range }`.
+   * `range` is the class's exact source range, or null when it can't be mapped back
+   * (escape sequences), in which case reports fall back to the enclosing node.
+   */
+  function extractClassNames(node) {
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'string' ? extractFromLiteral(node) : [];
+
+      case 'TemplateLiteral':
+        return extractFromTemplate(node);
+
+      case 'JSXExpressionContainer':
+        return extractClassNames(node.expression);
+
+      // Vue template `class="..."` and `:class="..."`
+      case 'VLiteral':
+        return extractFromLiteral(node);
+
+      case 'VExpressionContainer':
+        return node.expression ? extractClassNames(node.expression) : [];
+
+      // Svelte `class="a {b}"`
+      case 'SvelteMustacheTag':
+        return extractClassNames(node.expression);
+
+      // `isActive ? 'bg-blue-500' : 'bg-gray-100'`
+      case 'ConditionalExpression':
+        return [...extractClassNames(node.consequent), ...extractClassNames(node.alternate)];
+
+      // `disabled && 'opacity-50'` only ever yields the right side as a class string
+      case 'LogicalExpression':
+        return node.operator === '&&'
+          ? extractClassNames(node.right)
+          : [...extractClassNames(node.left), ...extractClassNames(node.right)];
+
+      // `'px-4 ' + size + ' rounded'`
+      case 'BinaryExpression':
+        return node.operator === '+' ? extractFromConcatenation(node) : [];
+
+      // `['p-4', cond && 'mt-2']`
+      case 'ArrayExpression':
+        return node.elements.flatMap(element => (element ? extractClassNames(element) : []));
+
+      case 'SpreadElement':
+        return extractClassNames(node.argument);
+
+      // `{ 'bg-red-500': isError, hidden: !open }` - the keys are the classes
+      case 'ObjectExpression':
+        return node.properties.flatMap(property => (property.type === 'Property' ? extractFromObjectKey(property) : []));
+
+      // Nested `cn()`/`clsx()` calls are visited on their own by the CallExpression visitor
+      default:
+        return [];
+    }
+  }
+
+  function extractFromObjectKey(property) {
+    const { key } = property;
+
+    if (property.computed) {
+      return extractClassNames(key);
+    }
+
+    if (key.type === 'Identifier') {
+      return [{ className: key.name, node: key, range: key.range }];
+    }
+
+    return extractClassNames(key);
+  }
+
+  /**
+   * `cva(base, { variants, compoundVariants, defaultVariants })`: the base and every
+   * variant option value are class lists, compound variants carry theirs in
+   * `class`/`className`, and `defaultVariants` only names options.
+   */
+  function extractFromCvaCall(node) {
+    const [base, config] = node.arguments;
+    const classes = base ? extractClassNames(base) : [];
+
+    if (!config || config.type !== 'ObjectExpression') {
+      return classes;
+    }
+
+    config.properties.forEach(property => {
+      if (property.type !== 'Property') return;
+
+      const name = getPropertyName(property);
+      const { value } = property;
+
+      if (name === 'variants' && value.type === 'ObjectExpression') {
+        value.properties.forEach(variant => {
+          if (variant.type !== 'Property' || variant.value.type !== 'ObjectExpression') return;
+
+          variant.value.properties.forEach(option => {
+            if (option.type === 'Property') classes.push(...extractClassNames(option.value));
+          });
+        });
+      } else if (name === 'compoundVariants' && value.type === 'ArrayExpression') {
+        value.elements.forEach(compound => {
+          if (!compound || compound.type !== 'ObjectExpression') return;
+
+          compound.properties.forEach(option => {
+            const optionName = option.type === 'Property' ? getPropertyName(option) : null;
+            if (optionName === 'class' || optionName === 'className') {
+              classes.push(...extractClassNames(option.value));
+            }
+          });
+        });
+      }
+    });
+
+    return classes;
+  }
+
+  /**
+   * `tv({ base, slots, variants, compoundVariants, compoundSlots })` from tailwind-variants.
+   * Variant options may be a class list or an object of class lists keyed by slot.
+   */
+  function extractFromTvCall(node) {
+    const [config] = node.arguments;
+    if (!config || config.type !== 'ObjectExpression') {
+      return config ? extractClassNames(config) : [];
+    }
+
+    const classes = [];
+    const extractSlotValues = value => (value.type === 'ObjectExpression'
+      ? value.properties.flatMap(slot => (slot.type === 'Property' ? extractClassNames(slot.value) : []))
+      : extractClassNames(value));
+
+    config.properties.forEach(property => {
+      if (property.type !== 'Property') return;
+
+      const name = getPropertyName(property);
+      const { value } = property;
+
+      if (name === 'base') {
+        classes.push(...extractClassNames(value));
+      } else if (name === 'slots') {
+        classes.push(...extractSlotValues(value));
+      } else if (name === 'variants' && value.type === 'ObjectExpression') {
+        value.properties.forEach(variant => {
+          if (variant.type !== 'Property' || variant.value.type !== 'ObjectExpression') return;
+
+          variant.value.properties.forEach(option => {
+            if (option.type === 'Property') classes.push(...extractSlotValues(option.value));
+          });
+        });
+      } else if ((name === 'compoundVariants' || name === 'compoundSlots') && value.type === 'ArrayExpression') {
+        value.elements.forEach(compound => {
+          if (!compound || compound.type !== 'ObjectExpression') return;
+
+          compound.properties.forEach(option => {
+            const optionName = option.type === 'Property' ? getPropertyName(option) : null;
+            if (optionName === 'class' || optionName === 'className') {
+              classes.push(...extractSlotValues(option.value));
+            }
+          });
+        });
+      }
+    });
+
+    return classes;
+  }
+
+  // `const buttonClasses = { primary: 'bg-blue-500' }`: a matched variable's values are class lists
+  function extractFromVariable(init) {
+    if (init.type === 'ObjectExpression') {
+      return init.properties.flatMap(property => {
+        if (property.type !== 'Property') return [];
+        return extractFromVariable(property.value);
+      });
+    }
+
+    return extractClassNames(init);
+  }
+
+  function getPropertyName(property) {
+    if (property.computed) return null;
+    if (property.key.type === 'Identifier') return property.key.name;
+    if (property.key.type === 'Literal') return String(property.key.value);
+    return null;
+  }
+
+  function extractFromLiteral(node, glued = {}) {
+    const raw = sourceCode.getText(node).slice(1, -1);
+    // JSX attribute strings have no escapes, so a backslash there is just a character
+    const offsets = raw === node.value ? Array.from({ length: raw.length + 1 }, (_, i) => i) : getRawOffsets(raw);
+    const classes = [];
+
+    splitClassList(node.value).forEach(({ className, start, end }) => {
+      // Fragments touching a dynamic neighbour (`'bg-' + color`) are only partial class names
+      if ((glued.before && start === 0) || (glued.after && end === node.value.length)) return;
+
+      // Only classes written exactly as they read can be located and fixed in place;
+      // not one containing an escape, nor anything in a JSX string with entities
+      const rawStart = offsets.length === node.value.length + 1 ? offsets[start] : -1;
+      const exact = rawStart !== -1 && raw.slice(rawStart, offsets[end]) === className;
+
+      classes.push({
+        className,
+        node,
+        range: exact ? [node.range[0] + 1 + rawStart, node.range[0] + 1 + offsets[end]] : null,
+      });
+    });
+
+    return classes;
+  }
+
+  function extractFromTemplate(node) {
+    const text = sourceCode.getText();
+    const classes = [];
+
+    node.quasis.forEach((quasi, index) => {
+      const value = quasi.value.cooked || '';
+      const rawStart = text.indexOf(quasi.value.raw, quasi.range[0]);
+      const exact = quasi.value.raw === value && rawStart !== -1;
+
+      splitClassList(value).forEach(({ className, start, end }) => {
+        // `p-${size}` can't be evaluated statically, so skip fragments glued to an interpolation
+        const gluedBefore = index > 0 && start === 0;
+        const gluedAfter = index < node.expressions.length && end === value.length;
+        if (gluedBefore || gluedAfter) return;
+
+        classes.push({
+          className,
+          node,
+          range: exact ? [rawStart + start, rawStart + end] : null,
+        });
+      });
+    });
+
+    node.expressions.forEach(expression => {
+      classes.push(...extractClassNames(expression));
+    });
+
+    return classes;
+  }
+
+  // Svelte attribute values are literal text and `{...}` tags side by side
+  function extractFromSvelteValue(parts) {
+    const text = sourceCode.getText();
+    const classes = [];
+
+    parts.forEach((part, index) => {
+      if (part.type !== 'SvelteLiteral') {
+        classes.push(...extractClassNames(part));
+        return;
+      }
+
+      const rawStart = text.indexOf(part.value, part.range[0]);
+      const exact = rawStart !== -1 && rawStart < part.range[1];
+
+      splitClassList(part.value).forEach(({ className, start, end }) => {
+        const gluedBefore = index > 0 && start === 0;
+        const gluedAfter = index < parts.length - 1 && end === part.value.length;
+        if (gluedBefore || gluedAfter) return;
+
+        classes.push({
+          className,
+          node: part,
+          range: exact ? [rawStart + start, rawStart + end] : null,
+        });
+      });
+    });
+
+    return classes;
+  }
+
+  // `class:active={isActive}`; older parser versions give the name as a string
+  function extractFromSvelteClassDirective(node) {
+    const { name } = node.key;
+
+    if (typeof name === 'string') {
+      const start = node.key.range[0] + 'class:'.length;
+      return [{ className: name, node, range: [start, start + name.length] }];
+    }
+
+    return [{ className: name.name, node: name, range: name.range }];
+  }
+
+  function extractFromConcatenation(node) {
+    const parts = flattenConcatenation(node);
+    const classes = [];
+
+    parts.forEach((part, index) => {
+      if (part.type === 'Literal' && typeof part.value === 'string') {
+        classes.push(...extractFromLiteral(part, { before: index > 0, after: index < parts.length - 1 }));
+      } else {
+        classes.push(...extractClassNames(part));
+      }
+    });
+
+    return classes;
+  }
+
+  function flattenConcatenation(node) {
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return [...flattenConcatenation(node.left), ...flattenConcatenation(node.right)];
+    }
+    return [node];
+  }
+
+  function splitClassList(value) {
+    const classes = [];
+    const classRegex = /\S+/g;
+    let match;
+
+    while ((match = classRegex.exec(value)) !== null) {
+      classes.push({ className: match[0], start: match.index, end: match.index + match[0].length });
+    }
+
+    return classes;
+  }
+
+  // ===========================================================================
+  // CLASS SOURCES
+  // ===========================================================================
+
+  function getAttributeName(node) {
+    if (node.name.type === 'JSXNamespacedName') {
+      return `${node.name.namespace.name}:${node.name.name.name}`;
+    }
+    return node.name.name;
+  }
+
+  // `class` and `:class` / `v-bind:class` both name the `class` attribute
+  function getVueAttributeName(node) {
+    if (!node.directive) return node.key.rawName || node.key.name;
+
+    const { name, argument } = node.key;
+    if (name.name === 'bind' && argument && argument.type === 'VIdentifier') {
+      return argument.rawName || argument.name;
+    }
+    return null;
+  }
+
+  function getCalleeName(callee) {
+    if (callee.type === 'MemberExpression') return callee.property?.name;
+    return callee.name;
+  }
+
+  function isClassCallee(name) {
+    if (!name) return false;
+    if (name === APPLY_CALLEE) return true;
+    return callees.includes(name) || calleeRegexes.some(regex => regex.test(name));
+  }
+
+  // tw`...` and tw.div`...`
+  function isClassTag(tag) {
+    if (tag.type === 'Identifier') return tags.includes(tag.name);
+    if (tag.type === 'MemberExpression' && tag.object.type === 'Identifier') return tags.includes(tag.object.name);
+    return false;
+  }
+
+  // ===========================================================================
+  // ESLint VISITORS
+  // ===========================================================================
+
+  const visitors = {
+    JSXAttribute(node) {
+      const attributeName = getAttributeName(node);
+
+      if (node.value && attributeRegexes.some(regex => regex.test(attributeName))) {
+        onClasses(extractClassNames(node.value), node);
+      }
+    },
+
+    CallExpression(node) {
+      const calleeName = getCalleeName(node.callee);
+      if (!isClassCallee(calleeName)) return;
+
+      if (calleeName === 'cva') {
+        onClasses(extractFromCvaCall(node), node);
+      } else if (calleeName === 'tv') {
+        onClasses(extractFromTvCall(node), node);
+      } else {
+        onClasses(node.arguments.flatMap(extractClassNames), node);
+      }
+    },
+
+    TaggedTemplateExpression(node) {
+      if (isClassTag(node.tag)) {
+        onClasses(extractClassNames(node.quasi), node);
+      }
+    },
+
+    VariableDeclarator(node) {
+      if (!node.init || node.id.type !== 'Identifier') return;
+
+      if (variableRegexes.some(regex => regex.test(node.id.name))) {
+        onClasses(extractFromVariable(node.init), node);
+      }
+    },
+
+    SvelteAttribute(node) {
+      if (Array.isArray(node.value) && attributeRegexes.some(regex => regex.test(node.key.name))) {
+        onClasses(extractFromSvelteValue(node.value), node);
+      }
+    },
+
+    SvelteDirective(node) {
+      if (node.kind === 'Class') {
+        onClasses(extractFromSvelteClassDirective(node), node);
+      }
+    },
+  };
+
+  const templateVisitors = {
+    VAttribute(node) {
+      const attributeName = getVueAttributeName(node);
+
+      if (node.value && attributeName && attributeRegexes.some(regex => regex.test(attributeName))) {
+        onClasses(extractClassNames(node.value), node);
+      }
+    },
+  };
+
+  // vue-eslint-parser keeps the template outside the script AST
+  const parserServices = sourceCode.parserServices || context.parserServices;
+  if (parserServices && parserServices.defineTemplateBodyVisitor) {
+    return parserServices.defineTemplateBodyVisitor(templateVisitors, visitors);
+  }
+
+  return visitors;
+}
+
+/**
+ * Source range to delete when removing a class from its list: the class plus
+ * the whitespace after it, or before it when it is the last class.
+ */
+function getClassRemovalRange(sourceCode, [start, end]) {
+  const text = sourceCode.getText();
+  let removeEnd = end;
+  while (/[ \t\n\r]/.test(text[removeEnd] || '')) removeEnd++;
+  if (removeEnd > end) return [start, removeEnd];
+
+  let removeStart = start;
+  while (/[ \t\n\r]/.test(text[removeStart - 1] || '')) removeStart--;
+  return [removeStart, end];
+}
+
+module.exports = {
+  APPLY_CALLEE,
+  classSourceSchema,
+  createClassSourceVisitors,
+  getClassRemovalRange,
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./utils');
+
+const DEFAULT_CSS_FILE = 'src/styles/globals.css';
+
+// Where a project usually keeps its Tailwind entry, relative to each directory searched
+const DISCOVERY_DIRECTORIES = ['.', 'styles', 'css', 'app', 'src', 'src/styles', 'src/css', 'src/app'];
+
+const TAILWIND_IMPORT = /@import\s+(?:url\(\s*)?(["'])tailwindcss(?:\/[^"']*)?\1/;
+
+/**
+ * Directory -> `{ found, checked }`: the Tailwind entry found directly in it
+ * (or null) and the mtimes of every folder and stylesheet looked at, so adding,
+ * removing or editing one searches the directory again.
+ */
+const discoveryCache = new Map();
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+function hasTailwindImport(filePath) {
+  try {
+    return TAILWIND_IMPORT.test(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// A missing path is `null`, so creating it counts as a change
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+function findEntryInDirectory(dir) {
+  const cached = discoveryCache.get(dir);
+  if (cached && cached.checked.every(([filePath, mtimeMs]) => getMtime(filePath) === mtimeMs)) {
+    return cached.found;
+  }
+
+  const checked = [];
+  const check = filePath => checked.push([filePath, getMtime(filePath)]);
+
+  let found = null;
+  for (const subdirectory of DISCOVERY_DIRECTORIES) {
+    const searchDir = path.join(dir, subdirectory);
+    check(searchDir);
+
+    let names = [];
+    try {
+      names = fs.readdirSync(searchDir).filter(name => name.endsWith('.css')).sort();
+    } catch (error) {
+      continue;
+    }
+
+    found = names.map(name => path.join(searchDir, name)).find(filePath => {
+      check(filePath);
+      return hasTailwindImport(filePath);
+    }) || null;
+    if (found) break;
+  }
+
+  discoveryCache.set(dir, { found, checked });
+  return found;
+}
+
+/**
+ * The nearest stylesheet with `@import "tailwindcss"`, walking up from the
+ * linted file's directory and stopping at the project root (or the
+ * filesystem root for files outside it).
+ */
+function discoverCSSEntry(filename, projectRoot) {
+  const root = path.resolve(projectRoot);
+  const stopAt = filename.startsWith(root + path.sep) ? root : path.parse(filename).root;
+  let dir = path.dirname(filename);
+
+  while (true) {
+    const found = findEntryInDirectory(dir);
+    if (found) return found;
+
+    if (dir === stopAt || path.dirname(dir) === dir) return null;
+    dir = path.dirname(dir);
+  }
+}
+
+// =============================================================================
+// ENTRYPOINTS
+// =============================================================================
+
+/**
+ * Pick the CSS entrypoint for the linted file: the first `cssFiles` glob
+ * matching its path relative to the project root, then an explicit
+ * `cssFile`, then (with `discoverCssFile`) the nearest Tailwind stylesheet,
+ * then the default path. Returns an absolute path.
+ */
+function resolveCSSEntry({ filename, projectRoot, cssFile, cssFiles, discoverCssFile }) {
+  const hasFilename = filename && path.isAbsolute(filename);
+
+  if (cssFiles && hasFilename) {
+    const relativePath = path.relative(projectRoot, filename).split(path.sep).join('/');
+    const match = Object.keys(cssFiles).find(glob => globToRegExp(glob).test(relativePath));
+    if (match) return path.resolve(projectRoot, cssFiles[match]);
+  }
+
+  if (cssFile) return path.resolve(projectRoot, cssFile);
+
+  if (discoverCssFile && hasFilename) {
+    const discovered = discoverCSSEntry(filename, projectRoot);
+    if (discovered) return discovered;
+  }
+
+  return path.resolve(projectRoot, DEFAULT_CSS_FILE);
+}
+
+module.exports = {
+  DEFAULT_CSS_FILE,
+  resolveCSSEntry,
+};
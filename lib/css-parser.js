@@ -0,0 +1,251 @@
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+// Replace comments with whitespace of the same length so every offset in the
+// cleaned source still points at the same line and column of the original file
+function blankComments(css) {
+  let result = '';
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === '"' || char === "'") {
+      const end = skipString(css, i);
+      result += css.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      const end = close === -1 ? css.length : close + 2;
+      result += css.slice(i, end).replace(/[^\n]/g, ' ');
+      i = end;
+      continue;
+    }
+
+    result += char;
+    i++;
+  }
+
+  return result;
+}
+
+function skipString(css, start) {
+  const quote = css[start];
+  let i = start + 1;
+
+  while (i < css.length) {
+    if (css[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (css[i] === quote || css[i] === '\n') return i + 1;
+    i++;
+  }
+
+  return css.length;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * Parse a stylesheet into a small postcss-like tree of `root`, `atrule`, `rule`
+ * and `decl` nodes. Every node carries the offset it starts at in the source.
+ */
+function parseCSS(css) {
+  const source = blankComments(css);
+  const root = { type: 'root', nodes: [] };
+  const stack = [root];
+  let bufferStart = 0;
+  let depth = 0;
+  let i = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  function flushStatement(end) {
+    const raw = source.slice(bufferStart, end);
+    const start = bufferStart + (raw.length - raw.trimStart().length);
+    const text = raw.trim();
+    if (!text) return;
+
+    if (text.startsWith('@')) {
+      current().nodes.push(createAtRule(text, start));
+    } else {
+      const colon = text.indexOf(':');
+      if (colon === -1) return;
+      current().nodes.push({
+        type: 'decl',
+        prop: text.slice(0, colon).trim(),
+        value: text.slice(colon + 1).trim(),
+        start,
+      });
+    }
+  }
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      i = skipString(source, i);
+      continue;
+    }
+
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    } else if (depth === 0 && char === '{') {
+      const raw = source.slice(bufferStart, i);
+      const start = bufferStart + (raw.length - raw.trimStart().length);
+      const prelude = raw.trim();
+      const node = prelude.startsWith('@')
+        ? createAtRule(prelude, start)
+        : { type: 'rule', selector: prelude, start };
+
+      node.nodes = [];
+      current().nodes.push(node);
+      stack.push(node);
+      bufferStart = i + 1;
+    } else if (depth === 0 && char === '}') {
+      flushStatement(i);
+      if (stack.length > 1) {
+        current().end = i + 1;
+        stack.pop();
+      }
+      bufferStart = i + 1;
+    } else if (depth === 0 && char === ';') {
+      flushStatement(i);
+      bufferStart = i + 1;
+    }
+
+    i++;
+  }
+
+  flushStatement(source.length);
+
+  return root;
+}
+
+function createAtRule(text, start) {
+  const match = /^@([\w-]+)\s*/.exec(text);
+  const name = match ? match[1] : '';
+  const offset = match ? match[0].length : 1;
+
+  return {
+    type: 'atrule',
+    name,
+    params: text.slice(offset).trim(),
+    start,
+    paramsStart: start + offset,
+  };
+}
+
+/**
+ * Depth-first walk over every node below `node`. The callback receives the
+ * node and the chain of its ancestors, closest last.
+ */
+function walk(node, callback, parents = []) {
+  if (!node.nodes) return;
+
+  node.nodes.forEach(child => {
+    callback(child, parents);
+    walk(child, callback, parents.concat(child));
+  });
+}
+
+// =============================================================================
+// SELECTORS & PARAMS
+// =============================================================================
+
+// Convert an escaped CSS identifier (`hover\:bg-x`, `w-1\/2`, `\31 0`) to the class name
+function unescapeClassName(className) {
+  return className.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|([\s\S]))/g, (match, hex, char) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return char;
+  });
+}
+
+/**
+ * Collect the class names referenced by a selector list, ignoring anything
+ * inside attribute selectors and strings. `.a .b:hover` yields `a` and `b`.
+ */
+function extractSelectorClasses(selector) {
+  const classes = [];
+  let i = 0;
+
+  while (i < selector.length) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      i = skipString(selector, i);
+      continue;
+    }
+
+    if (char === '[') {
+      const close = selector.indexOf(']', i);
+      i = close === -1 ? selector.length : close + 1;
+      continue;
+    }
+
+    if (char === '.') {
+      const match = /^(?:[a-zA-Z_@-]|\\(?:[0-9a-fA-F]{1,6}\s?|[\s\S]))(?:[\w-]|\\(?:[0-9a-fA-F]{1,6}\s?|[\s\S]))*/.exec(selector.slice(i + 1));
+      if (match && match[0] !== '-') {
+        classes.push(unescapeClassName(match[0]));
+        i += match[0].length + 1;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return classes;
+}
+
+// Read the path out of `@import "x.css" layer(base);` or `@import url(x.css);`
+function getImportPath(params) {
+  const match = /^(?:url\(\s*)?(["'])(.*?)\1/.exec(params) || /^url\(\s*([^)"'\s]+)\s*\)/.exec(params);
+  if (!match) return null;
+
+  return match.length === 3 ? match[2] : match[1];
+}
+
+/**
+ * Read the options after the path of a Tailwind import:
+ * `@import "tailwindcss" prefix(tw) important source("../src");`
+ */
+function getImportOptions(params) {
+  const options = params.replace(/^(?:url\(\s*)?(["']).*?\1\s*\)?|^url\([^)]*\)/, '');
+  const prefixMatch = /\bprefix\(\s*([a-z][\w-]*)\s*\)/i.exec(options);
+  const sources = Array.from(options.matchAll(/\bsource\(\s*(?:(["'])(.*?)\1|(none))\s*\)/g), match => match[2] || match[3]);
+
+  return {
+    prefix: prefixMatch ? prefixMatch[1] : null,
+    important: /(^|\s)important(\s|$)/.test(options.replace(/\([^)]*\)/g, '')),
+    sources,
+  };
+}
+
+module.exports = {
+  parseCSS,
+  walk,
+  unescapeClassName,
+  extractSelectorClasses,
+  getImportPath,
+  getImportOptions,
+};
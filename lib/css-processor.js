@@ -0,0 +1,28 @@
+const { parseCSS, walk } = require('./css-parser');
+const { createClassListProcessor } = require('./class-list-processor');
+
+/**
+ * The `@apply` lists of a stylesheet. Newlines and tabs become spaces so each
+ * class keeps its offset from the start of the list. A trailing `!important`
+ * isn't a class, so the list ends before it and no fix can reach it.
+ */
+function extractApplyLists(css) {
+  const lists = [];
+
+  walk(parseCSS(css), node => {
+    if (node.type !== 'atrule' || node.name !== 'apply' || !node.params) return;
+
+    const params = node.params.replace(/[\r\n\t]/g, ' ');
+    const important = /(^|\s)!important(\s|$)/.exec(params);
+    const classList = important ? params.slice(0, important.index).trimEnd() : params;
+
+    if (classList) {
+      lists.push({ classList, start: node.paramsStart });
+    }
+  });
+
+  return lists;
+}
+
+// Lints `@apply` lists with the plugin's rules, reporting at each class in the CSS
+module.exports = createClassListProcessor('tailwind-v4/css', extractApplyLists);
@@ -0,0 +1,697 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCSS, walk, extractSelectorClasses, getImportPath, getImportOptions } = require('./css-parser');
+const { createImportResolver } = require('./css-resolver');
+const { resolveCSSEntry } = require('./css-entrypoints');
+const { createDebugLogger } = require('./debug');
+
+// =============================================================================
+// CLASS REGISTRY CACHE
+// =============================================================================
+
+// Parsed registries keyed by resolved CSS entry path, shared by every file
+// linted in this process. Each entry remembers the mtime and content hash of
+// every file in its import graph so edits are picked up without a restart.
+const registryCache = new Map();
+
+// Registries already checked for staleness in this turn of the event loop. A
+// CLI run lints every file in one synchronous pass, so the import graph is
+// stat'ed once per run instead of once per file; an editor lints each change
+// in a later turn and checks again.
+const checkedThisTurn = new Set();
+
+function markChecked(registry) {
+  if (checkedThisTurn.size === 0) {
+    setImmediate(() => checkedThisTurn.clear()).unref();
+  }
+  checkedThisTurn.add(registry);
+}
+
+function getClassRegistry(cssPath, projectRoot, debug, options = {}) {
+  // Aliases change how imports resolve, so they are part of the cache key
+  const cacheKey = options.aliases ? `${cssPath}\u0000${JSON.stringify(options.aliases)}` : cssPath;
+  const cached = registryCache.get(cacheKey);
+  if (cached && (checkedThisTurn.has(cached) || !isRegistryStale(cached))) {
+    markChecked(cached);
+    return cached;
+  }
+
+  if (cached) {
+    createDebugLogger(debug)('registry:rebuild', { file: path.relative(projectRoot, cssPath) });
+  }
+
+  const registry = buildClassRegistry(cssPath, projectRoot, debug, options);
+  registryCache.set(cacheKey, registry);
+  markChecked(registry);
+  return registry;
+}
+
+function isRegistryStale(registry) {
+  for (const [filePath, signature] of registry.files) {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      // Stale if a parsed file disappeared; still fresh if it was already missing
+      if (signature.mtimeMs !== null) return true;
+      continue;
+    }
+
+    if (signature.mtimeMs === null) return true;
+    if (stat.mtimeMs === signature.mtimeMs) continue;
+
+    // A watched directory changed, possibly by gaining a missing import
+    if (signature.hash === null) return true;
+
+    // mtime moved - only rebuild if the content actually changed
+    let cssContent;
+    try {
+      cssContent = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return true;
+    }
+
+    if (hashContent(cssContent) !== signature.hash) return true;
+    signature.mtimeMs = stat.mtimeMs;
+  }
+
+  return false;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function buildClassRegistry(cssPath, projectRoot, debug, options) {
+  const resolver = createImportResolver({ aliases: options.aliases, projectRoot });
+  const log = createDebugLogger(debug);
+  const relative = filePath => path.relative(projectRoot, filePath);
+  const validClasses = new Set();
+  const customClasses = new Set();
+  const foundThemeVariables = new Set();
+  const themeValues = new Map();
+  const functionalUtilities = new Set();
+  const utilityProperties = new Map();
+  const customProperties = new Set();
+  const customVariants = new Set();
+  const customClassLayers = new Map();
+  const resetNamespaces = new Set();
+  const removedThemeVariables = new Set();
+  const breakpoints = new Set(DEFAULT_BREAKPOINTS);
+  const containerSizes = new Set(DEFAULT_CONTAINER_SIZES);
+  const files = new Map();
+  const configFiles = [];
+  const plugins = [];
+  // Configuration problems for the rules to report: `{ type, file, line, ... }`
+  const diagnostics = [];
+  let hasTailwindImport = false;
+  // `prefix(tw)` of `@import "tailwindcss"`; `important` and `source()` don't change which classes exist
+  let prefix = null;
+
+  log('registry:load', { file: relative(cssPath) });
+
+  parseCSSImports(cssPath, projectRoot);
+  customClasses.forEach(cls => validClasses.add(cls));
+
+  const entryMissing = diagnostics.some(({ type, file }) => ['missingCssFile', 'unreadableCssFile'].includes(type) && file === cssPath);
+  if (!entryMissing && !hasTailwindImport) {
+    addDiagnostic({ type: 'missingTailwindImport', file: cssPath });
+  }
+
+  log('registry:summary', {
+    file: relative(cssPath),
+    hasTailwindImport,
+    customClasses: customClasses.size,
+    validClasses: validClasses.size,
+    themeVariables: foundThemeVariables.size,
+    customVariants: customVariants.size,
+    resetNamespaces: Array.from(resetNamespaces),
+    breakpoints: Array.from(breakpoints),
+    containerSizes: Array.from(containerSizes),
+    diagnostics: diagnostics.length,
+  });
+
+  return {
+    validClasses,
+    customClasses,
+    foundThemeVariables,
+    themeValues,
+    functionalUtilities,
+    utilityProperties,
+    customProperties,
+    customVariants,
+    customClassLayers,
+    resetNamespaces,
+    removedThemeVariables,
+    breakpoints,
+    containerSizes,
+    hasTailwindImport,
+    prefix,
+    configFiles,
+    plugins,
+    files,
+    entry: cssPath,
+    entryMissing,
+    diagnostics,
+  };
+
+  function addDiagnostic(diagnostic) {
+    diagnostics.push(diagnostic);
+    log('diagnostic', { ...diagnostic, file: relative(diagnostic.file) });
+  }
+
+  // 1-based line of an offset, for diagnostics
+  function getLine(content, offset) {
+    return content.slice(0, offset).split('\n').length;
+  }
+
+  // =============================================================================
+  // CSS PARSING
+  // =============================================================================
+
+  function parseCSSImports(cssPath, projectRoot) {
+    if (!fs.existsSync(cssPath)) {
+      files.set(cssPath, { mtimeMs: null, hash: null });
+      addDiagnostic({ type: 'missingCssFile', file: cssPath });
+      return;
+    }
+
+    // Real paths, so a file reached through a symlink or alias is only parsed once
+    const visited = new Set();
+    const entryPath = fs.realpathSync(cssPath);
+    const cssQueue = [entryPath];
+
+    while (cssQueue.length > 0) {
+      const currentPath = cssQueue.shift();
+      if (visited.has(currentPath)) continue;
+      visited.add(currentPath);
+
+      try {
+        const { mtimeMs } = fs.statSync(currentPath);
+        const cssContent = fs.readFileSync(currentPath, 'utf8');
+        files.set(currentPath, { mtimeMs, hash: hashContent(cssContent) });
+
+        log('css:parse', { file: relative(currentPath) });
+
+        const ast = parseCSS(cssContent);
+
+        // Detect Tailwind imports
+        detectTailwindImport(ast);
+
+        // Extract custom classes and theme variables
+        extractCustomClasses(ast, currentPath, cssContent);
+
+        // Queue additional CSS imports
+        queueCSSImports(ast, currentPath, cssContent, cssQueue, visited);
+
+      } catch (error) {
+        // The entry is reported by the path the rule was given, not its real path
+        addDiagnostic({ type: 'unreadableCssFile', file: currentPath === entryPath ? cssPath : currentPath, detail: error.message });
+      }
+    }
+  }
+
+  function detectTailwindImport(ast) {
+    let foundTailwind = false;
+
+    walk(ast, node => {
+      if (node.type !== 'atrule') return;
+
+      if (node.name === 'import') {
+        const importPath = getImportPath(node.params);
+        if (importPath && isTailwindImportPath(importPath)) {
+          foundTailwind = true;
+          applyImportOptions(getImportOptions(node.params));
+        }
+      } else if (node.name === 'tailwind' && /^(base|components|utilities)\b/.test(node.params)) {
+        foundTailwind = true;
+      } else if (node.name === 'theme' && node.nodes) {
+        foundTailwind = true;
+      }
+    });
+
+    if (foundTailwind) {
+      hasTailwindImport = true;
+      log('css:tailwind-import');
+    }
+  }
+
+  function applyImportOptions(options) {
+    if (options.prefix) prefix = options.prefix;
+
+    if (options.prefix || options.important || options.sources.length > 0) {
+      log('css:import-options', options);
+    }
+  }
+
+  function isTailwindImportPath(importPath) {
+    return importPath === 'tailwindcss' || importPath.startsWith('tailwindcss/');
+  }
+
+  // `https://...`, `//...` and `data:` imports are fetched by the browser, not read from disk
+  function isRemoteImportPath(importPath) {
+    return importPath.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(importPath);
+  }
+
+  function queueCSSImports(ast, currentPath, cssContent, cssQueue, visited) {
+    ast.nodes.forEach(node => {
+      if (node.type !== 'atrule' || !['import', 'reference', 'config', 'plugin'].includes(node.name)) return;
+
+      const importPath = getImportPath(node.params);
+      if (!importPath) return;
+
+      // Skip Tailwind imports
+      if (isTailwindImportPath(importPath)) return;
+
+      if (isRemoteImportPath(importPath)) {
+        log('css:remote-import', { directive: node.name, specifier: importPath });
+        return;
+      }
+
+      const fullPath = resolver.resolve(importPath, currentPath);
+      if (!fullPath) {
+        resolver.getWatchPaths(importPath, currentPath).forEach(trackFile);
+        addDiagnostic({
+          type: 'unresolvedImport',
+          file: currentPath,
+          line: getLine(cssContent, node.start),
+          directive: node.name,
+          specifier: importPath,
+        });
+        return;
+      }
+
+      const isStylesheet = /\.(css|scss|sass|less)$/.test(fullPath);
+
+      // JS configs and plugins aren't evaluated, but a plugin package may ship its CSS
+      if (node.name === 'config' || (node.name === 'plugin' && !isStylesheet)) {
+        (node.name === 'config' ? configFiles : plugins).push(fullPath);
+        trackFile(fullPath);
+        log('css:external', { directive: node.name, file: relative(fullPath) });
+        return;
+      }
+
+      if (!isStylesheet) {
+        log('css:not-stylesheet', { directive: node.name, file: relative(fullPath) });
+        return;
+      }
+
+      if (!visited.has(fullPath)) {
+        cssQueue.push(fullPath);
+        log('css:queue', { directive: node.name, file: relative(fullPath) });
+      }
+    });
+  }
+
+  // Remember a file that affects the registry without being parsed as CSS
+  // Directories (watched for imports that don't exist yet) are compared by mtime only
+  function trackFile(filePath) {
+    try {
+      const stat = fs.statSync(filePath);
+      const hash = stat.isDirectory() ? null : hashContent(fs.readFileSync(filePath, 'utf8'));
+      files.set(filePath, { mtimeMs: stat.mtimeMs, hash });
+    } catch (error) {
+      files.set(filePath, { mtimeMs: null, hash: null });
+    }
+  }
+
+  // =============================================================================
+  // CLASS EXTRACTION
+  // =============================================================================
+
+  function extractCustomClasses(ast, filePath, cssContent) {
+    let classesFound = 0;
+    const fileName = path.basename(filePath);
+    const explicitClasses = new Set();
+
+    // Extract explicit classes from every selector, including nested @layer and @media rules
+    classesFound += extractExplicitClasses(ast, fileName, explicitClasses);
+
+    // Extract theme variables and generate utilities
+    classesFound += extractThemeVariables(ast, fileName, explicitClasses);
+
+    // Flag @theme blocks Tailwind would reject or silently ignore
+    checkThemeBlocks(ast, filePath, cssContent);
+
+    // Extract @utility definitions
+    classesFound += extractUtilityDefinitions(ast, fileName);
+
+    // Extract @custom-variant / @variant definitions
+    classesFound += extractVariantDefinitions(ast, fileName);
+
+    // Collect custom properties declared outside @theme (`:root { --header-height: 4rem }`)
+    extractCustomProperties(ast);
+
+    if (classesFound > 0) {
+      log('css:extracted', { file: relative(filePath), count: classesFound });
+    }
+  }
+
+  function extractExplicitClasses(ast, fileName, explicitClasses) {
+    let count = 0;
+
+    walk(ast, (node, parents) => {
+      if (node.type !== 'rule') return;
+
+      // Keyframe selectors and rules nested in @utility or variant bodies don't define classes
+      if (parents.some(parent => parent.type === 'atrule' && (/keyframes$/.test(parent.name) || ['utility', 'custom-variant', 'variant'].includes(parent.name)))) return;
+
+      const layer = parents.find(parent => parent.type === 'atrule' && parent.name === 'layer');
+
+      extractSelectorClasses(node.selector).forEach(className => {
+        explicitClasses.add(className);
+        customClasses.add(className);
+        if (!customClassLayers.has(className)) {
+          customClassLayers.set(className, layer ? layer.params : null);
+        }
+        count++;
+
+        log('css:class', { file: fileName, className, layer: layer ? layer.params : null });
+      });
+    });
+
+    return count;
+  }
+
+  function extractThemeVariables(ast, fileName, explicitClasses) {
+    let count = 0;
+
+    walk(ast, node => {
+      if (node.type !== 'atrule' || node.name !== 'theme' || !node.nodes) return;
+
+      log('theme:block', { file: fileName });
+
+      node.nodes.forEach(decl => {
+        if (decl.type !== 'decl' || !decl.prop.startsWith('--')) return;
+
+        // `--spacing-2\.5` is the `2.5` step
+        const fullVarName = decl.prop.substring(2).replace(/\\\./g, '.');
+        const variableValue = decl.value;
+
+        // `--color-*: initial`, `--*: initial` and `--color-red-500: initial` remove defaults
+        if (variableValue === 'initial') {
+          registerThemeReset(fullVarName);
+          return;
+        }
+
+        if (!/^--[a-zA-Z][\w-]*(\\\.[\w-]+)*$/.test(decl.prop)) return;
+
+        foundThemeVariables.add(fullVarName);
+        themeValues.set(fullVarName, variableValue);
+        removedThemeVariables.delete(fullVarName);
+
+        // Breakpoints and container sizes drive responsive / @container variants
+        const screenMatch = /^(breakpoint|container)-([\w-]+)$/.exec(fullVarName);
+        if (screenMatch) {
+          (screenMatch[1] === 'breakpoint' ? breakpoints : containerSizes).add(screenMatch[2]);
+        }
+
+        const generatedCount = generateUtilitiesFromVariable(fullVarName, fileName, explicitClasses);
+        count += generatedCount;
+      });
+    });
+
+    return count;
+  }
+
+  function registerThemeReset(varName) {
+    log('theme:reset', { variable: varName });
+
+    if (varName === '*') {
+      resetNamespaces.add('*');
+      themeValues.clear();
+      breakpoints.clear();
+      containerSizes.clear();
+      return;
+    }
+
+    if (varName.endsWith('-*')) {
+      // Drops the defaults and anything declared before it in the namespace
+      const namespace = varName.slice(0, -2);
+      resetNamespaces.add(namespace);
+      Array.from(themeValues.keys())
+        .filter(name => name === namespace || name.startsWith(`${namespace}-`))
+        .forEach(name => themeValues.delete(name));
+      if (namespace === 'breakpoint') breakpoints.clear();
+      if (namespace === 'container') containerSizes.clear();
+      return;
+    }
+
+    removedThemeVariables.add(varName);
+    foundThemeVariables.delete(varName);
+    themeValues.delete(varName);
+
+    const screenMatch = /^(breakpoint|container)-([\w-]+)$/.exec(varName);
+    if (screenMatch) {
+      (screenMatch[1] === 'breakpoint' ? breakpoints : containerSizes).delete(screenMatch[2]);
+    }
+  }
+
+  /**
+   * `@theme` without a block, left unclosed, or holding anything but
+   * `--variable: value` declarations and `@keyframes`.
+   */
+  function checkThemeBlocks(ast, filePath, cssContent) {
+    walk(ast, node => {
+      if (node.type !== 'atrule' || node.name !== 'theme') return;
+
+      const report = (detail, offset = node.start) => addDiagnostic({
+        type: 'malformedTheme',
+        file: filePath,
+        line: getLine(cssContent, offset),
+        detail,
+      });
+
+      if (!node.nodes) {
+        report('@theme has no block');
+        return;
+      }
+
+      if (node.end === undefined) {
+        report('@theme block is not closed');
+      }
+
+      node.nodes.forEach(child => {
+        if (child.type === 'decl' && !/^--([a-zA-Z][\w-]*(\\\.[\w-]+)*|\*)(-\*)?$/.test(child.prop)) {
+          report(`'${child.prop}' is not a theme variable`, child.start);
+        } else if (child.type === 'rule' || (child.type === 'atrule' && !/keyframes$/.test(child.name))) {
+          report(`unexpected ${child.type === 'rule' ? `rule '${child.selector}'` : `@${child.name}`}`, child.start);
+        }
+      });
+    });
+  }
+
+  function extractVariantDefinitions(ast, fileName) {
+    let count = 0;
+
+    walk(ast, (node, parents) => {
+      if (node.type !== 'atrule') return;
+
+      // `@variant` nested inside a rule applies a variant rather than defining one
+      const isDefinition = node.name === 'custom-variant' || (node.name === 'variant' && parents.length === 0);
+      if (!isDefinition) return;
+
+      const match = /^[a-zA-Z@][\w-]*/.exec(node.params);
+      if (!match) return;
+
+      customVariants.add(match[0]);
+      count++;
+
+      log('css:variant', { file: fileName, directive: node.name, variant: match[0] });
+    });
+
+    return count;
+  }
+
+  function extractCustomProperties(ast) {
+    walk(ast, (node, parents) => {
+      if (node.type !== 'decl' || !node.prop.startsWith('--')) return;
+      if (parents.some(parent => parent.type === 'atrule' && parent.name === 'theme')) return;
+
+      customProperties.add(node.prop.substring(2));
+    });
+  }
+
+  function extractUtilityDefinitions(ast, fileName) {
+    let count = 0;
+
+    walk(ast, node => {
+      if (node.type !== 'atrule' || node.name !== 'utility') return;
+
+      const utilityName = node.params.split(/\s/)[0];
+      if (!/^[a-zA-Z][\w-]*(-\*)?$/.test(utilityName)) return;
+
+      // Only top-level declarations; nested `&:hover { ... }` blocks apply in another context
+      const properties = (node.nodes || []).filter(child => child.type === 'decl').map(child => child.prop);
+      utilityProperties.set(utilityName, properties);
+
+      // Functional utilities (`@utility tab-*`) accept any value after the prefix
+      if (utilityName.endsWith('-*')) {
+        functionalUtilities.add(utilityName.slice(0, -1));
+      } else {
+        customClasses.add(utilityName);
+        customClassLayers.set(utilityName, 'utilities');
+      }
+      count++;
+
+      log('css:utility', { file: fileName, utility: utilityName });
+    });
+
+    return count;
+  }
+
+  // =============================================================================
+  // UTILITY GENERATION
+  // =============================================================================
+
+  /**
+   * Add the utilities a theme variable generates, per `THEME_UTILITIES`:
+   * `--radius-card` -> `rounded-card`, `rounded-t-card`, ...; `--spacing-gutter`
+   * also adds `-mx-gutter`. Sub-keys such as `--text-xl--line-height` configure
+   * another variable and generate nothing.
+   */
+  function generateUtilitiesFromVariable(varName, fileName, explicitClasses) {
+    const entry = THEME_UTILITIES.find(({ namespace }) => varName.startsWith(`${namespace}-`));
+    if (!entry) return 0;
+
+    const key = varName.substring(entry.namespace.length + 1);
+    if (!key || key.includes('--')) return 0;
+
+    const utilities = entry.utilities.map(utility => `${utility}-${key}`);
+    const negatives = (entry.negative || []).map(utility => `-${utility}-${key}`);
+
+    let count = 0;
+    [...utilities, ...negatives].forEach(cls => {
+      if (!explicitClasses.has(cls)) {
+        customClasses.add(cls);
+        count++;
+      } else {
+        log('theme:explicit-class', { file: fileName, className: cls });
+      }
+    });
+
+    if (count > 0) {
+      log('theme:utilities', { file: fileName, namespace: entry.namespace, key, count });
+    }
+
+    return count;
+  }
+}
+
+// =============================================================================
+// THEME UTILITIES
+// =============================================================================
+
+const SIDES = ['x', 'y', 't', 'r', 'b', 'l', 's', 'e'];
+// `withSides('p', SIDES, '')` -> `p`, `px`, `py`, ...; `withSides('border')` -> `border`, `border-x`, ...
+const withSides = (utility, sides = SIDES, separator = '-') => [utility, ...sides.map(side => `${utility}${separator}${side}`)];
+
+const SPACING_NEGATIVE = [
+  ...withSides('m', SIDES, ''), 'space-x', 'space-y', ...withSides('inset', ['x', 'y']),
+  'top', 'right', 'bottom', 'left', 'start', 'end', 'indent',
+  ...withSides('translate', ['x', 'y']), ...withSides('scroll-m', SIDES, ''),
+];
+
+/**
+ * Tailwind v4 theme namespaces and the utilities each one generates, e.g.
+ * `--blur-soft` -> `blur-soft`, `backdrop-blur-soft`. `negative` lists the
+ * utilities that also take a leading `-`. Longer namespaces come first so
+ * `--font-weight-*` isn't read as a `--font-*` family.
+ */
+const THEME_UTILITIES = [
+  {
+    namespace: 'color',
+    utilities: [
+      'bg', 'text', ...withSides('border'), 'border-is', 'border-ie', 'border-bs', 'border-be', 'divide',
+      'outline', 'ring', 'ring-offset', 'inset-ring', 'shadow', 'inset-shadow', 'drop-shadow', 'text-shadow',
+      'decoration', 'accent', 'caret', 'fill', 'stroke', 'placeholder', 'from', 'via', 'to',
+    ],
+  },
+  {
+    namespace: 'spacing',
+    utilities: [
+      ...withSides('p', SIDES, ''), ...SPACING_NEGATIVE, 'gap', 'gap-x', 'gap-y',
+      'w', 'h', 'size', 'min-w', 'min-h', 'max-w', 'max-h', 'basis',
+      ...withSides('scroll-p', SIDES, ''), ...withSides('border-spacing', ['x', 'y']),
+    ],
+    negative: SPACING_NEGATIVE,
+  },
+  { namespace: 'container', utilities: ['w', 'min-w', 'max-w', 'basis'] },
+  { namespace: 'radius', utilities: withSides('rounded', ['t', 'r', 'b', 'l', 's', 'e', 'tl', 'tr', 'br', 'bl', 'ss', 'se', 'es', 'ee']) },
+  { namespace: 'font-weight', utilities: ['font'] },
+  { namespace: 'font-family', utilities: ['font'] },
+  { namespace: 'font-size', utilities: ['text'] },
+  { namespace: 'font', utilities: ['font'] },
+  { namespace: 'text-shadow', utilities: ['text-shadow'] },
+  { namespace: 'text', utilities: ['text'] },
+  { namespace: 'tracking', utilities: ['tracking'], negative: ['tracking'] },
+  { namespace: 'leading', utilities: ['leading'] },
+  { namespace: 'inset-shadow', utilities: ['inset-shadow'] },
+  { namespace: 'drop-shadow', utilities: ['drop-shadow'] },
+  { namespace: 'shadow', utilities: ['shadow'] },
+  { namespace: 'blur', utilities: ['blur', 'backdrop-blur'] },
+  { namespace: 'perspective', utilities: ['perspective'] },
+  { namespace: 'aspect', utilities: ['aspect'] },
+  { namespace: 'ease', utilities: ['ease'] },
+  { namespace: 'animate', utilities: ['animate'] },
+];
+
+// =============================================================================
+// RESPONSIVE VARIANTS
+// =============================================================================
+
+const DEFAULT_BREAKPOINTS = ['sm', 'md', 'lg', 'xl', '2xl'];
+const DEFAULT_CONTAINER_SIZES = ['3xs', '2xs', 'xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl'];
+
+// =============================================================================
+// RULE INTEGRATION
+// =============================================================================
+
+// Options every rule that reads the CSS graph accepts
+const registrySchema = {
+  cssFile: {
+    type: 'string',
+    description: 'Path to globals.css file',
+  },
+  cssFiles: {
+    type: 'object',
+    description: 'Glob patterns of linted files (relative to the working directory) mapped to their CSS entrypoint',
+    additionalProperties: { type: 'string' },
+  },
+  discoverCssFile: {
+    type: 'boolean',
+    description: 'Use the nearest stylesheet with `@import "tailwindcss"` above the linted file',
+    default: false,
+  },
+  aliases: {
+    type: 'object',
+    description: 'Import path aliases, e.g. `{ "~/": "src/", "@/*": ["src/*"] }`, resolved from the working directory',
+    additionalProperties: {
+      oneOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' } },
+      ],
+    },
+  },
+  debug: {
+    type: 'boolean',
+    default: false,
+  },
+};
+
+// Resolve the CSS entrypoint for the linted file and return the shared registry for it
+function getRegistryForContext(context) {
+  const { cssFile, cssFiles, discoverCssFile = false, aliases, debug = false } = context.options[0] || {};
+  const projectRoot = context.getCwd();
+  const filename = context.filename || context.getFilename();
+  const cssPath = resolveCSSEntry({ filename, projectRoot, cssFile, cssFiles, discoverCssFile });
+
+  return getClassRegistry(cssPath, projectRoot, debug, { aliases });
+}
+
+module.exports = {
+  getClassRegistry,
+  getRegistryForContext,
+  registrySchema,
+};
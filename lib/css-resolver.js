@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less'];
+
+// Conditions tried in `exports` maps, most CSS-specific first
+const EXPORT_CONDITIONS = ['style', 'css', 'import', 'require', 'default'];
+
+// =============================================================================
+// FILES
+// =============================================================================
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// `theme` -> `theme.css`, `styles` -> `styles/index.css`; symlinks resolved so
+// pnpm-style node_modules can't make one file look like two
+function resolveFile(filePath) {
+  const candidates = [
+    filePath,
+    ...STYLE_EXTENSIONS.map(ext => filePath + ext),
+    ...STYLE_EXTENSIONS.map(ext => path.join(filePath, `index${ext}`)),
+  ];
+
+  const found = candidates.find(isFile);
+  return found ? fs.realpathSync(found) : null;
+}
+
+// =============================================================================
+// PACKAGES
+// =============================================================================
+
+// `@acme/tokens/theme.css` -> `{ name: '@acme/tokens', subpath: './theme.css' }`
+function splitPackageSpecifier(specifier) {
+  const segments = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const subpath = segments.slice(nameLength).join('/');
+
+  return { name: segments.slice(0, nameLength).join('/'), subpath: subpath ? `./${subpath}` : '.' };
+}
+
+// Walk up from `fromDir` through every `node_modules`, as Node does
+function findPackageDir(name, fromDir) {
+  let dir = fromDir;
+
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', name);
+    if (isFile(path.join(candidate, 'package.json'))) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function pickExportTarget(target) {
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) return target.map(pickExportTarget).find(Boolean) || null;
+  if (!target || typeof target !== 'object') return null;
+
+  for (const condition of EXPORT_CONDITIONS) {
+    if (condition in target) {
+      const picked = pickExportTarget(target[condition]);
+      if (picked) return picked;
+    }
+  }
+
+  return null;
+}
+
+// Match `./theme.css` against an `exports` map, including `./*` patterns
+function resolveExports(exportsField, subpath) {
+  const exportsMap = typeof exportsField === 'string' || Array.isArray(exportsField)
+    || !Object.keys(exportsField).some(key => key.startsWith('.'))
+    ? { '.': exportsField }
+    : exportsField;
+
+  if (subpath in exportsMap) return pickExportTarget(exportsMap[subpath]);
+
+  for (const [key, target] of Object.entries(exportsMap)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+
+    const [before, after] = [key.slice(0, star), key.slice(star + 1)];
+    if (subpath.startsWith(before) && subpath.endsWith(after) && subpath.length >= key.length - 1) {
+      const picked = pickExportTarget(target);
+      const match = subpath.slice(before.length, subpath.length - after.length);
+      if (picked) return picked.replace(/\*/g, match);
+    }
+  }
+
+  return null;
+}
+
+function resolvePackage(specifier, fromDir) {
+  const { name, subpath } = splitPackageSpecifier(specifier);
+  const packageDir = findPackageDir(name, fromDir);
+  if (!packageDir) return null;
+
+  let packageJson = {};
+  try {
+    packageJson = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  } catch (error) {
+    // A broken manifest still leaves plain file paths inside the package
+  }
+
+  if (packageJson.exports) {
+    const target = resolveExports(packageJson.exports, subpath);
+    if (target) return resolveFile(path.join(packageDir, target));
+  }
+
+  if (subpath !== '.') return resolveFile(path.join(packageDir, subpath));
+
+  // Prefer a stylesheet entry; `main` still identifies `@plugin` packages
+  const styleEntry = [packageJson.style, packageJson.main].find(field => typeof field === 'string' && /\.(css|scss|sass|less)$/.test(field));
+  return resolveFile(path.join(packageDir, styleEntry || 'index.css'))
+    || (typeof packageJson.main === 'string' ? resolveFile(path.join(packageDir, packageJson.main)) : null);
+}
+
+// =============================================================================
+// ALIASES
+// =============================================================================
+
+/**
+ * Normalise `{ "~/": "src/", "@/*": ["src/*"] }` into `[prefix, targets]`
+ * pairs, longest prefix first, with targets resolved from the project root.
+ */
+function normalizeAliases(aliases, projectRoot) {
+  return Object.entries(aliases || {})
+    .map(([key, targets]) => [
+      key.replace(/\*$/, ''),
+      [].concat(targets).map(target => path.resolve(projectRoot, target.replace(/\*$/, ''))),
+    ])
+    .sort((a, b) => b[0].length - a[0].length);
+}
+
+/**
+ * Build the resolver the registry uses to follow `@import`, `@reference`,
+ * `@config` and `@plugin`: relative paths, configured aliases, then packages
+ * through `node_modules` (`exports` with the `style` condition, `style`,
+ * `main`). `resolve(specifier, fromFile)` returns a real path or null.
+ */
+function createImportResolver({ aliases, projectRoot }) {
+  const aliasEntries = normalizeAliases(aliases, projectRoot);
+
+  function resolve(specifier, fromFile) {
+    const fromDir = path.dirname(fromFile);
+
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      return resolveFile(path.resolve(fromDir, specifier));
+    }
+
+    for (const [prefix, targets] of aliasEntries) {
+      if (!specifier.startsWith(prefix)) continue;
+
+      const rest = specifier.slice(prefix.length);
+      for (const target of targets) {
+        const resolved = resolveFile(path.join(target, rest));
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+
+    // Root-relative (`/styles/base.css`) as bundlers treat it, then a real absolute path
+    if (specifier.startsWith('/')) {
+      return resolveFile(path.join(projectRoot, specifier)) || resolveFile(specifier);
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(specifier)) return null;
+
+    return resolvePackage(specifier, fromDir) || resolvePackage(specifier, projectRoot);
+  }
+
+  /**
+   * Where an unresolved specifier would show up: the directory its file would
+   * be created in, or the package directory an install would add. The
+   * registry watches these so a missing import is retried once it exists.
+   */
+  function getWatchPaths(specifier, fromFile) {
+    const fromDir = path.dirname(fromFile);
+
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      return [path.dirname(path.resolve(fromDir, specifier))];
+    }
+
+    const alias = aliasEntries.find(([prefix]) => specifier.startsWith(prefix));
+    if (alias) {
+      const [prefix, targets] = alias;
+      return targets.map(target => path.dirname(path.join(target, specifier.slice(prefix.length))));
+    }
+
+    if (specifier.startsWith('/')) return [path.dirname(path.join(projectRoot, specifier))];
+    if (/^[a-z][a-z0-9+.-]*:/i.test(specifier)) return [];
+
+    const { name } = splitPackageSpecifier(specifier);
+    return [fromDir, projectRoot].map(dir => path.join(dir, 'node_modules', name));
+  }
+
+  return { resolve, getWatchPaths };
+}
+
+module.exports = {
+  createImportResolver,
+};
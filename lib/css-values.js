@@ -0,0 +1,120 @@
+// =============================================================================
+// COLOURS
+// =============================================================================
+
+const ROOT_FONT_SIZE = 16;
+
+function clampChannel(value) {
+  return Math.min(255, Math.max(0, Math.round(value)));
+}
+
+// `50%` -> 0.5, `0.5` -> 0.5; `scale` maps percentages onto the channel range
+function parseNumber(value, scale = 1) {
+  if (value === undefined || value === 'none') return 0;
+  if (value.endsWith('%')) return (parseFloat(value) / 100) * scale;
+  return parseFloat(value);
+}
+
+function parseHex(hex) {
+  const digits = hex.length <= 4
+    ? hex.split('').map(digit => digit + digit).join('')
+    : hex;
+  const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+
+  return [channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] / 255 : 1];
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    return 255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+
+  return [channel(0), channel(8), channel(4)];
+}
+
+// OKLCH -> OKLab -> linear sRGB -> sRGB, as in CSS Color 4
+function oklchToRgb(lightness, chroma, hue) {
+  const radians = (hue * Math.PI) / 180;
+  const a = chroma * Math.cos(radians);
+  const b = chroma * Math.sin(radians);
+
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+  const linear = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+
+  return linear.map(channel => {
+    const gamma = Math.abs(channel) <= 0.0031308
+      ? 12.92 * channel
+      : Math.sign(channel) * (1.055 * Math.abs(channel) ** (1 / 2.4) - 0.055);
+    return gamma * 255;
+  });
+}
+
+/**
+ * Parse a hex, `rgb()`, `hsl()` or `oklch()` colour into `[r, g, b, alpha]`
+ * with 0-255 channels, so colours written in different notations compare equal.
+ * Returns null for anything else (named colours, `var()`, `color-mix()`).
+ */
+function parseColor(value) {
+  const color = value.trim().toLowerCase();
+
+  const hexMatch = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+  if (hexMatch) return parseHex(hexMatch[1]);
+
+  const functionMatch = /^(rgba?|hsla?|oklch)\(([^()]*)\)$/.exec(color);
+  if (!functionMatch) return null;
+
+  const [name, args] = [functionMatch[1], functionMatch[2]];
+  const [channelPart, alphaPart] = args.includes('/') ? args.split('/') : [args, undefined];
+  const channels = channelPart.split(/[\s,]+/).filter(Boolean);
+  const legacyAlpha = channels.length === 4 ? channels.pop() : undefined;
+  if (channels.length !== 3) return null;
+
+  const alpha = parseNumber((alphaPart || legacyAlpha || '1').trim());
+  let rgb;
+
+  if (name.startsWith('rgb')) {
+    rgb = channels.map(channel => parseNumber(channel, 255));
+  } else if (name.startsWith('hsl')) {
+    rgb = hslToRgb(parseFloat(channels[0]), parseNumber(channels[1], 1), parseNumber(channels[2], 1));
+  } else {
+    rgb = oklchToRgb(parseNumber(channels[0], 1), parseNumber(channels[1], 0.4), parseFloat(channels[2]) || 0);
+  }
+
+  if (rgb.some(Number.isNaN) || Number.isNaN(alpha)) return null;
+  return [...rgb.map(clampChannel), Math.round(alpha * 100) / 100];
+}
+
+// Whether two parsed colours are the same once rounded to 8-bit channels
+function isSameColor(a, b) {
+  return a.every((channel, index) => Math.abs(channel - b[index]) <= (index === 3 ? 0.01 : 1));
+}
+
+// =============================================================================
+// LENGTHS
+// =============================================================================
+
+// `16px`, `1rem`, `0` -> pixels; null for other units and expressions
+function toPixels(value) {
+  const match = /^(-?(?:\d+\.?\d*|\.\d+))(px|rem)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  if (match[2] === 'rem') return number * ROOT_FONT_SIZE;
+  if (match[2] === 'px' || number === 0) return number;
+  return null;
+}
+
+module.exports = {
+  parseColor,
+  isSameColor,
+  toPixels,
+};
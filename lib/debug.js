@@ -0,0 +1,17 @@
+/**
+ * Debug output for the `debug` option: one JSON object per line on stderr,
+ * `{"plugin":"tailwind-v4","event":"css:parse","file":"src/styles/globals.css"}`,
+ * so it stays out of ESLint's formatter output and can be filtered with `jq`.
+ * Returns a no-op when debugging is off.
+ */
+function createDebugLogger(enabled) {
+  if (!enabled) return () => {};
+
+  return (event, details = {}) => {
+    process.stderr.write(`${JSON.stringify({ plugin: 'tailwind-v4', event, ...details })}\n`);
+  };
+}
+
+module.exports = {
+  createDebugLogger,
+};
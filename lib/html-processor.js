@@ -0,0 +1,45 @@
+const { createClassListProcessor } = require('./class-list-processor');
+
+// `<div ...>` with quoted attribute values allowed to contain `>`
+const TAG_PATTERN = /<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const CLASS_ATTRIBUTE_PATTERN = /(^|\s)class\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+// Blank comments and `<script>` / `<style>` bodies, keeping every offset
+function blankNonMarkup(html) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+
+  return html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi, (match, open, tag, body, close) => open + blank(body) + close);
+}
+
+/**
+ * The quoted `class` attributes of an HTML document. Newlines and tabs
+ * become spaces so each class keeps its offset from the start of the value.
+ */
+function extractClassAttributes(html) {
+  const source = blankNonMarkup(html);
+  const lists = [];
+  let tagMatch;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((tagMatch = TAG_PATTERN.exec(source)) !== null) {
+    const [, tagName, attributes] = tagMatch;
+    const attributesStart = tagMatch.index + 1 + tagName.length;
+    let attributeMatch;
+
+    CLASS_ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((attributeMatch = CLASS_ATTRIBUTE_PATTERN.exec(attributes)) !== null) {
+      const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+      // The value sits just before the closing quote
+      const start = attributesStart + attributeMatch.index + attributeMatch[0].length - 1 - value.length;
+
+      lists.push({ classList: value.replace(/[\r\n\t]/g, ' '), start });
+    }
+  }
+
+  return lists;
+}
+
+// Lints `class` attributes with the plugin's rules, reporting at each class in the HTML
+module.exports = createClassListProcessor('tailwind-v4/html', extractClassAttributes);
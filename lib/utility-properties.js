@@ -0,0 +1,283 @@
+// =============================================================================
+// VALUE CLASSIFICATION
+// =============================================================================
+
+const FONT_SIZES = ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl'];
+const FONT_WEIGHTS = ['thin', 'extralight', 'light', 'normal', 'medium', 'semibold', 'bold', 'extrabold', 'black'];
+const SHADOW_SIZES = ['2xs', 'xs', 'sm', 'md', 'lg', 'xl', '2xl', 'none', 'inner'];
+
+// `2`, `px`, `[3px]`, `[length:var(--x)]`
+function isWidthValue(value) {
+  return /^(\d+|px)$/.test(value) || /^\[(length:|line-width:|\d|calc\()/.test(value);
+}
+
+// `[14px]`, `[1.5rem]`, `[length:...]`
+function isArbitraryLength(value) {
+  return /^\[(length:|\d|\.\d|calc\(|clamp\(|min\(|max\()/.test(value);
+}
+
+function sideProperties(property, side) {
+  switch (side) {
+    case '': return [`${property}-top`, `${property}-right`, `${property}-bottom`, `${property}-left`];
+    case 'x': return [`${property}-left`, `${property}-right`];
+    case 'y': return [`${property}-top`, `${property}-bottom`];
+    case 't': return [`${property}-top`];
+    case 'r': return [`${property}-right`];
+    case 'b': return [`${property}-bottom`];
+    case 'l': return [`${property}-left`];
+    case 's': return [`${property}-inline-start`];
+    case 'e': return [`${property}-inline-end`];
+    default: return [`${property}-${side}`];
+  }
+}
+
+function cornerProperties(corner) {
+  const corners = {
+    '': ['top-left', 'top-right', 'bottom-right', 'bottom-left'],
+    t: ['top-left', 'top-right'],
+    r: ['top-right', 'bottom-right'],
+    b: ['bottom-right', 'bottom-left'],
+    l: ['top-left', 'bottom-left'],
+    tl: ['top-left'],
+    tr: ['top-right'],
+    br: ['bottom-right'],
+    bl: ['bottom-left'],
+    s: ['start-start', 'end-start'],
+    e: ['start-end', 'end-end'],
+    ss: ['start-start'],
+    se: ['start-end'],
+    ee: ['end-end'],
+    es: ['end-start'],
+  };
+
+  return corners[corner].map(name => `border-${name}-radius`);
+}
+
+// =============================================================================
+// PROPERTY TABLE
+// =============================================================================
+
+/**
+ * Utilities in Tailwind's property order, each mapped to the CSS properties it
+ * sets. The position of the first matching entry is the utility's sort order.
+ * `properties` is either a list or `(match, themeVariables) => list`.
+ */
+const UTILITY_PROPERTIES = [
+  [/^@container(\/.+)?$/, ['container-type']],
+  [/^pointer-events-/, ['pointer-events']],
+  [/^(visible|invisible|collapse)$/, ['visibility']],
+  [/^sr-only$|^not-sr-only$/, ['position', 'width', 'height', 'overflow', 'clip', 'white-space']],
+  [/^(static|fixed|absolute|relative|sticky)$/, ['position']],
+  [/^inset-(x|y)-/, match => (match[1] === 'x' ? ['left', 'right'] : ['top', 'bottom'])],
+  [/^inset-(?!shadow|ring)/, ['top', 'right', 'bottom', 'left']],
+  [/^(start|end)-/, match => [`inset-inline-${match[1]}`]],
+  [/^(top|right|bottom|left)-/, match => [match[1]]],
+  [/^(isolate|isolation-auto)$/, ['isolation']],
+  [/^z-/, ['z-index']],
+  [/^order-/, ['order']],
+  [/^col-(start|end)-/, match => [`grid-column-${match[1]}`]],
+  [/^col-/, ['grid-column']],
+  [/^row-(start|end)-/, match => [`grid-row-${match[1]}`]],
+  [/^row-/, ['grid-row']],
+  [/^float-/, ['float']],
+  [/^clear-/, ['clear']],
+  [/^m([xytrblse]?)-/, match => sideProperties('margin', match[1])],
+  [/^box-(border|content)$/, ['box-sizing']],
+  [/^line-clamp-/, ['-webkit-line-clamp', 'overflow', 'display']],
+  [/^(block|inline-block|inline|flex|inline-flex|table|inline-table|table-caption|table-cell|table-column|table-column-group|table-footer-group|table-header-group|table-row-group|table-row|flow-root|grid|inline-grid|contents|list-item|hidden)$/, ['display']],
+  [/^aspect-/, ['aspect-ratio']],
+  [/^size-/, ['width', 'height']],
+  [/^h-/, ['height']],
+  [/^max-h-/, ['max-height']],
+  [/^min-h-/, ['min-height']],
+  [/^w-/, ['width']],
+  [/^max-w-/, ['max-width']],
+  [/^min-w-/, ['min-width']],
+  [/^flex-(\d+|\d+\/\d+|auto|initial|none|\[.+\])$/, ['flex']],
+  [/^(flex-)?shrink(-|$)/, ['flex-shrink']],
+  [/^(flex-)?grow(-|$)/, ['flex-grow']],
+  [/^basis-/, ['flex-basis']],
+  [/^table-(auto|fixed)$/, ['table-layout']],
+  [/^caption-/, ['caption-side']],
+  [/^border-(collapse|separate)$/, ['border-collapse']],
+  [/^border-spacing(-[xy])?-/, ['border-spacing']],
+  [/^origin-/, ['transform-origin']],
+  [/^translate-(x|y|z)-/, match => [`--tw-translate-${match[1]}`]],
+  [/^translate-/, ['--tw-translate-x', '--tw-translate-y']],
+  [/^scale-(x|y|z)-/, match => [`--tw-scale-${match[1]}`]],
+  [/^scale-/, ['--tw-scale-x', '--tw-scale-y']],
+  [/^rotate-/, ['rotate']],
+  [/^skew-(x|y)-/, match => [`--tw-skew-${match[1]}`]],
+  [/^skew-/, ['--tw-skew-x', '--tw-skew-y']],
+  [/^transform(-cpu|-gpu|-none)?$/, ['transform']],
+  [/^animate-/, ['animation']],
+  [/^cursor-/, ['cursor']],
+  [/^touch-/, ['touch-action']],
+  [/^resize(-|$)/, ['resize']],
+  [/^snap-(none|x|y|both)$/, ['scroll-snap-type']],
+  [/^snap-(mandatory|proximity)$/, ['--tw-scroll-snap-strictness']],
+  [/^snap-(start|end|center|align-none)$/, ['scroll-snap-align']],
+  [/^snap-(normal|always)$/, ['scroll-snap-stop']],
+  [/^scroll-m([xytrblse]?)-/, match => sideProperties('scroll-margin', match[1])],
+  [/^scroll-p([xytrblse]?)-/, match => sideProperties('scroll-padding', match[1])],
+  [/^list-(inside|outside)$/, ['list-style-position']],
+  [/^list-image-/, ['list-style-image']],
+  [/^list-/, ['list-style-type']],
+  [/^appearance-/, ['appearance']],
+  [/^columns-/, ['columns']],
+  [/^break-(before|after|inside)-/, match => [`break-${match[1]}`]],
+  [/^auto-cols-/, ['grid-auto-columns']],
+  [/^grid-flow-/, ['grid-auto-flow']],
+  [/^auto-rows-/, ['grid-auto-rows']],
+  [/^grid-cols-/, ['grid-template-columns']],
+  [/^grid-rows-/, ['grid-template-rows']],
+  [/^flex-(row|col)(-reverse)?$/, ['flex-direction']],
+  [/^flex-(wrap|wrap-reverse|nowrap)$/, ['flex-wrap']],
+  [/^place-content-/, ['place-content']],
+  [/^place-items-/, ['place-items']],
+  [/^content-(normal|center|start|end|between|around|evenly|baseline|stretch)$/, ['align-content']],
+  [/^items-/, ['align-items']],
+  [/^justify-items-/, ['justify-items']],
+  [/^justify-(?!self-)/, ['justify-content']],
+  [/^gap-x-/, ['column-gap']],
+  [/^gap-y-/, ['row-gap']],
+  [/^gap-/, ['column-gap', 'row-gap']],
+  [/^space-(x|y)-reverse$/, match => [`--tw-space-${match[1]}-reverse`]],
+  [/^space-(x|y)-/, match => [`--tw-space-${match[1]}`]],
+  [/^divide-(x|y)-reverse$/, match => [`--tw-divide-${match[1]}-reverse`]],
+  [/^divide-(x|y)(-|$)/, match => [`--tw-divide-${match[1]}-width`]],
+  [/^divide-(solid|dashed|dotted|double|none)$/, ['--tw-divide-style']],
+  [/^divide-/, ['--tw-divide-color']],
+  [/^place-self-/, ['place-self']],
+  [/^self-/, ['align-self']],
+  [/^justify-self-/, ['justify-self']],
+  [/^overflow-(x|y)-/, match => [`overflow-${match[1]}`]],
+  [/^overflow-/, ['overflow-x', 'overflow-y']],
+  [/^overscroll-(x|y)-/, match => [`overscroll-behavior-${match[1]}`]],
+  [/^overscroll-/, ['overscroll-behavior-x', 'overscroll-behavior-y']],
+  [/^scroll-(auto|smooth)$/, ['scroll-behavior']],
+  [/^truncate$/, ['overflow', 'text-overflow', 'white-space']],
+  [/^(text-ellipsis|text-clip|text-overflow-ellipsis|text-overflow-clip)$/, ['text-overflow']],
+  [/^hyphens-/, ['hyphens']],
+  [/^whitespace-/, ['white-space']],
+  [/^text-(wrap|nowrap|balance|pretty)$/, ['text-wrap']],
+  [/^break-(normal|words|all|keep)$/, ['word-break', 'overflow-wrap']],
+  [/^rounded(?:-(t|r|b|l|tl|tr|br|bl|s|e|ss|se|ee|es))?(?=-|$)/, match => cornerProperties(match[1] || '')],
+  [/^border-(solid|dashed|dotted|double|hidden|none)$/, ['border-style']],
+  [/^border(?:-([xytrblse]))?(?:-(.+))?$/, match => {
+    const side = match[1] || '';
+    const value = match[2];
+    return value === undefined || isWidthValue(value)
+      ? sideProperties('border', side).map(property => `${property}-width`)
+      : sideProperties('border', side).map(property => `${property}-color`);
+  }],
+  [/^bg-(fixed|local|scroll)$/, ['background-attachment']],
+  [/^bg-clip-/, ['background-clip']],
+  [/^bg-origin-/, ['background-origin']],
+  [/^bg-(repeat|no-repeat|repeat-x|repeat-y|repeat-round|repeat-space)$/, ['background-repeat']],
+  [/^bg-(auto|cover|contain)$/, ['background-size']],
+  [/^bg-(size-|[[(](length|size|bg-size):)/, ['background-size']],
+  [/^bg-(center|top|right|bottom|left|right-top|right-bottom|left-top|left-bottom)$/, ['background-position']],
+  [/^bg-(position-|[[(](position|bg-position|percentage):)/, ['background-position']],
+  [/^bg-blend-/, ['background-blend-mode']],
+  [/^bg-(none|linear-|radial|conic|gradient-)/, ['background-image']],
+  // Arbitrary images by type hint or image function; other arbitrary values are colours
+  [/^bg-[[(]((image|url):|(url|image|image-set|cross-fade|(repeating-)?(linear|radial|conic)-gradient)\()/, ['background-image']],
+  [/^bg-/, ['background-color']],
+  [/^from-/, ['--tw-gradient-from']],
+  [/^via-/, ['--tw-gradient-via']],
+  [/^to-/, ['--tw-gradient-to']],
+  [/^fill-/, ['fill']],
+  [/^stroke-(.+)$/, match => (isWidthValue(match[1]) ? ['stroke-width'] : ['stroke'])],
+  [/^object-(contain|cover|fill|none|scale-down)$/, ['object-fit']],
+  [/^object-/, ['object-position']],
+  [/^p([xytrblse]?)-/, match => sideProperties('padding', match[1])],
+  [/^text-(left|center|right|justify|start|end)$/, ['text-align']],
+  [/^indent-/, ['text-indent']],
+  [/^align-/, ['vertical-align']],
+  [/^font-(.+)$/, (match, themeVariables) => {
+    const value = match[1];
+    if (FONT_WEIGHTS.includes(value) || themeVariables.has(`font-weight-${value}`) || /^\[(number:|\d)/.test(value)) {
+      return ['font-weight'];
+    }
+    return ['font-family'];
+  }],
+  [/^text-(.+)$/, (match, themeVariables) => {
+    const value = match[1].replace(/\/.+$/, '');
+    if (FONT_SIZES.includes(value) || themeVariables.has(`text-${value}`) || themeVariables.has(`font-size-${value}`) || isArbitraryLength(value)) {
+      return ['font-size'];
+    }
+    return ['color'];
+  }],
+  [/^leading-/, ['line-height']],
+  [/^tracking-/, ['letter-spacing']],
+  [/^(uppercase|lowercase|capitalize|normal-case)$/, ['text-transform']],
+  [/^(italic|not-italic)$/, ['font-style']],
+  [/^(underline|overline|line-through|no-underline)$/, ['text-decoration-line']],
+  [/^decoration-(solid|double|dotted|dashed|wavy)$/, ['text-decoration-style']],
+  [/^decoration-(slice|clone)$/, ['box-decoration-break']],
+  [/^decoration-(.+)$/, match => (isWidthValue(match[1]) || ['auto', 'from-font'].includes(match[1]) ? ['text-decoration-thickness'] : ['text-decoration-color'])],
+  [/^underline-offset-/, ['text-underline-offset']],
+  [/^(antialiased|subpixel-antialiased)$/, ['-webkit-font-smoothing']],
+  [/^placeholder-/, ['--tw-placeholder-color']],
+  [/^caret-/, ['caret-color']],
+  [/^accent-/, ['accent-color']],
+  [/^opacity-/, ['opacity']],
+  [/^mix-blend-/, ['mix-blend-mode']],
+  [/^shadow(?:-(.+))?$/, (match, themeVariables) => {
+    const value = match[1];
+    return value === undefined || SHADOW_SIZES.includes(value) || themeVariables.has(`shadow-${value}`)
+      ? ['--tw-shadow']
+      : ['--tw-shadow-color'];
+  }],
+  [/^inset-shadow(?:-(.+))?$/, (match, themeVariables) => {
+    const value = match[1];
+    return value === undefined || SHADOW_SIZES.includes(value) || themeVariables.has(`inset-shadow-${value}`)
+      ? ['--tw-inset-shadow']
+      : ['--tw-inset-shadow-color'];
+  }],
+  [/^inset-ring(?:-(.+))?$/, match => (match[1] === undefined || isWidthValue(match[1]) ? ['--tw-inset-ring-shadow'] : ['--tw-inset-ring-color'])],
+  [/^ring-inset$/, ['--tw-ring-inset']],
+  [/^ring-offset-(.+)$/, match => (isWidthValue(match[1]) ? ['--tw-ring-offset-width'] : ['--tw-ring-offset-color'])],
+  [/^ring(?:-(.+))?$/, match => (match[1] === undefined || isWidthValue(match[1]) ? ['--tw-ring-shadow'] : ['--tw-ring-color'])],
+  [/^outline-(none|hidden|solid|dashed|dotted|double)$/, ['outline-style']],
+  [/^outline-offset-/, ['outline-offset']],
+  [/^outline(?:-(.+))?$/, match => (match[1] === undefined || isWidthValue(match[1]) ? ['outline-width'] : ['outline-color'])],
+  [/^(blur|brightness|contrast|drop-shadow|grayscale|hue-rotate|invert|saturate|sepia)(-|$)/, match => [`--tw-${match[1]}`]],
+  [/^filter(-none)?$/, ['filter']],
+  [/^backdrop-(blur|brightness|contrast|grayscale|hue-rotate|invert|opacity|saturate|sepia)(-|$)/, match => [`--tw-backdrop-${match[1]}`]],
+  [/^transition(-|$)/, ['transition-property']],
+  [/^delay-/, ['transition-delay']],
+  [/^duration-/, ['transition-duration']],
+  [/^ease-/, ['transition-timing-function']],
+  [/^will-change-/, ['will-change']],
+  [/^content-/, ['content']],
+  [/^select-/, ['user-select']],
+  // Arbitrary properties (`[mask-type:luminance]`) always come last
+  [/^\[(-{0,2}[a-zA-Z][\w-]*):.+\]$/, match => [match[1]]],
+];
+
+/**
+ * Look up a base utility (variants already stripped) in the property table.
+ * Returns `{ order, properties }`, or null for classes that aren't Tailwind utilities.
+ */
+function getUtilityProperties(utility, themeVariables = new Set()) {
+  const className = utility.replace(/^!/, '').replace(/!$/, '').replace(/^-/, '');
+
+  for (let order = 0; order < UTILITY_PROPERTIES.length; order++) {
+    const [pattern, properties] = UTILITY_PROPERTIES[order];
+    const match = pattern.exec(className);
+    if (match) {
+      return {
+        order,
+        properties: typeof properties === 'function' ? properties(match, themeVariables) : properties,
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getUtilityProperties,
+};
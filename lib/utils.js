@@ -0,0 +1,28 @@
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `*Classes` -> /^.*Classes$/
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+const stringArraySchema = description => ({
+  type: 'array',
+  items: { type: 'string' },
+  uniqueItems: true,
+  description,
+});
+
+// Patterns that don't compile fail ESLint's config validation instead of throwing mid-lint
+const regexArraySchema = description => ({
+  ...stringArraySchema(description),
+  items: { type: 'string', format: 'regex' },
+});
+
+module.exports = {
+  escapeRegExp,
+  globToRegExp,
+  regexArraySchema,
+  stringArraySchema,
+};
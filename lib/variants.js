@@ -0,0 +1,289 @@
+// =============================================================================
+// VARIANT GRAMMAR
+// =============================================================================
+
+// Pseudo-class variants; these also compose with `group-`, `peer-`, `in-`, `has-` and `not-`
+const SELECTOR_VARIANTS = [
+  'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'target',
+  'first', 'last', 'only', 'odd', 'even', 'first-of-type', 'last-of-type', 'only-of-type', 'empty',
+  'disabled', 'enabled', 'checked', 'indeterminate', 'default', 'optional', 'required',
+  'valid', 'invalid', 'user-valid', 'user-invalid', 'in-range', 'out-of-range',
+  'placeholder-shown', 'autofill', 'read-only', 'open', 'inert',
+];
+
+// Variants that move the styles to another element, where order changes the selector
+const PSEUDO_ELEMENT_VARIANTS = ['first-letter', 'first-line', 'marker', 'selection', 'file', 'placeholder', 'backdrop', 'before', 'after', 'details-content'];
+
+// Media, feature and document conditions; only `not-` composes with these
+const CONDITION_VARIANTS = [
+  'dark', 'light', 'motion-safe', 'motion-reduce', 'contrast-more', 'contrast-less',
+  'portrait', 'landscape', 'print', 'forced-colors', 'inverted-colors', 'noscript',
+  'pointer-fine', 'pointer-coarse', 'pointer-none', 'any-pointer-fine', 'any-pointer-coarse', 'any-pointer-none',
+  'ltr', 'rtl', 'starting',
+];
+
+// `aria-busy` -> `[aria-busy="true"]`; other attributes need `aria-[...]`
+const ARIA_VARIANT_VALUES = ['busy', 'checked', 'disabled', 'expanded', 'hidden', 'pressed', 'readonly', 'required', 'selected'];
+
+const COMPOUND_VARIANTS = ['not', 'group', 'peer', 'in', 'has'];
+
+const isArbitrary = value => /^\[.+\]$/.test(value);
+
+/**
+ * Classify one variant of a chain against Tailwind v4's grammar: static
+ * (`hover`), functional (`nth-3`, `data-active`, `aria-busy`, `supports-grid`,
+ * `max-md`, `@min-[400px]`), arbitrary (`[&>p]`) and compound (`group-hover/item`,
+ * `not-focus`, `has-checked`). Returns `selector`, `condition`,
+ * `pseudo-element`, `children`, `custom` or null for an unknown variant.
+ */
+function getVariantKind(variant, variants = {}) {
+  const { customVariants = [], breakpoints = [], containerSizes = [] } = variants;
+
+  if (Array.from(customVariants).includes(variant)) return 'custom';
+  if (SELECTOR_VARIANTS.includes(variant)) return 'selector';
+  if (PSEUDO_ELEMENT_VARIANTS.includes(variant)) return 'pseudo-element';
+  if (CONDITION_VARIANTS.includes(variant)) return 'condition';
+  if (variant === '*' || variant === '**') return 'children';
+  if (isArbitrary(variant)) return variant.startsWith('[@') ? 'condition' : 'selector';
+
+  const nthMatch = /^nth(?:-last)?(?:-of-type)?-(.+)$/.exec(variant);
+  if (nthMatch) {
+    return /^\d+$/.test(nthMatch[1]) || isArbitrary(nthMatch[1]) ? 'selector' : null;
+  }
+
+  const attributeMatch = /^(aria|data|supports)-(.+)$/.exec(variant);
+  if (attributeMatch) {
+    const [, name, value] = attributeMatch;
+    const isValid = isArbitrary(value) || (name === 'aria' ? ARIA_VARIANT_VALUES.includes(value) : /^[a-z][\w-]*$/i.test(value));
+    if (!isValid) return null;
+    return name === 'supports' ? 'condition' : 'selector';
+  }
+
+  // `md`, `max-md`, `min-[900px]`
+  const screenMatch = /^(?:(?:max|min)-)?(.+)$/.exec(variant);
+  const isScreen = Array.from(breakpoints).includes(screenMatch[1])
+    || (screenMatch[1] !== variant && isArbitrary(screenMatch[1]));
+  if (isScreen) return 'condition';
+
+  // `@md`, `@max-lg/sidebar`, `@min-[400px]`
+  const containerMatch = /^@(?:(?:max|min)-)?(.+?)(?:\/[\w-]+)?$/.exec(variant);
+  if (containerMatch) {
+    return Array.from(containerSizes).includes(containerMatch[1]) || isArbitrary(containerMatch[1]) ? 'condition' : null;
+  }
+
+  const compoundMatch = new RegExp(`^(${COMPOUND_VARIANTS.join('|')})-(.+)$`).exec(variant);
+  if (compoundMatch) {
+    const [, name, rest] = compoundMatch;
+    // Only `group-*` and `peer-*` take a `/name` to target a named group or peer
+    const inner = name === 'group' || name === 'peer' ? rest.replace(/\/[\w-]+$/, '') : rest;
+    const innerKind = getVariantKind(inner, variants);
+
+    if (innerKind === 'selector' || innerKind === 'custom') return 'selector';
+    if (name === 'not' && innerKind === 'condition') return 'condition';
+  }
+
+  return null;
+}
+
+// `md:hover:[&>p]:flex` -> the variants with their offsets, and where the base class starts
+function scanVariants(className) {
+  const segments = [];
+  let depth = 0;
+  let start = className.startsWith('!') ? 1 : 0;
+
+  for (let i = start; i < className.length; i++) {
+    const char = className[i];
+    if (char === '[' || char === '(') depth++;
+    if (char === ']' || char === ')') depth--;
+
+    if (char === ':' && depth === 0) {
+      segments.push({ variant: className.slice(start, i), start });
+      start = i + 1;
+    }
+  }
+
+  return { segments, baseStart: start };
+}
+
+// The import's `prefix()` is only valid as the first segment (`tw:hover:flex`)
+function isValidVariant(variant, index, variants = {}) {
+  if (index === 0 && variants.prefix && variant === variants.prefix) return true;
+  return getVariantKind(variant, variants) !== null;
+}
+
+/**
+ * Strip every leading variant the grammar accepts (including custom
+ * `@custom-variant` names, theme breakpoints and containers, and the import's
+ * `prefix()`) and the `!` modifier. Stops at the first unknown variant and
+ * returns null when the class has nothing to strip.
+ */
+function getBaseClass(className, variants = {}) {
+  const { segments, baseStart } = scanVariants(className);
+  const invalidIndex = segments.findIndex(({ variant }, index) => !isValidVariant(variant, index, variants));
+  const start = invalidIndex === -1 ? baseStart : segments[invalidIndex].start;
+
+  const baseClass = className.substring(start);
+  return baseClass !== className ? baseClass : null;
+}
+
+/**
+ * The first variant of a class the grammar doesn't know, as
+ * `{ variant, start }` with `start` its offset in the class; null when
+ * every variant is valid.
+ */
+function findInvalidVariant(className, variants = {}) {
+  const { segments } = scanVariants(className);
+  const invalidIndex = segments.findIndex(({ variant }, index) => !isValidVariant(variant, index, variants));
+
+  return invalidIndex === -1 ? null : segments[invalidIndex];
+}
+
+// Named variants to suggest for a typo, compound forms included
+function getVariantVocabulary(variants = {}) {
+  const { customVariants = [], breakpoints = [] } = variants;
+  const compounds = COMPOUND_VARIANTS.flatMap(name => SELECTOR_VARIANTS.map(variant => `${name}-${variant}`));
+
+  return [
+    ...SELECTOR_VARIANTS, ...PSEUDO_ELEMENT_VARIANTS, ...CONDITION_VARIANTS, ...compounds,
+    ...Array.from(breakpoints), ...Array.from(breakpoints, breakpoint => `max-${breakpoint}`),
+    ...Array.from(customVariants),
+  ];
+}
+
+// Split `md:hover:!bg-primry` into the variant prefix `md:hover:!` and `bg-primry`
+function splitVariantPrefix(className, variants) {
+  const baseClass = getBaseClass(className, variants) || className;
+  let prefix = className.substring(0, className.length - baseClass.length);
+  let base = baseClass;
+
+  if (base.startsWith('!')) {
+    prefix += '!';
+    base = base.substring(1);
+  }
+
+  return { prefix, base };
+}
+
+// Move v4's trailing `!` (`md:flex!`) to the leading position (`md:!flex`)
+function normalizeImportant(className) {
+  if (!className.endsWith('!') || className.length < 2) return className;
+
+  const body = className.slice(0, -1);
+  const base = splitVariantChain(body).pop();
+  if (base.startsWith('!')) return body;
+
+  return `${body.slice(0, body.length - base.length)}!${base}`;
+}
+
+// =============================================================================
+// VARIANT ORDER
+// =============================================================================
+
+// Approximation of the order Tailwind emits variants in. Entries ending in `-`
+// are families (`group-hover`, `data-[open]`); `<breakpoints>` expands to the
+// theme's breakpoints in declaration order.
+const VARIANT_ORDER = [
+  '*', '**', 'not-', 'group-', 'peer-', 'in-', 'has-',
+  'first-letter', 'first-line', 'marker', 'selection', 'file', 'placeholder', 'backdrop', 'before', 'after',
+  'first', 'last', 'only', 'odd', 'even', 'first-of-type', 'last-of-type', 'only-of-type', 'nth-',
+  'visited', 'target', 'open', 'default', 'checked', 'indeterminate', 'placeholder-shown', 'autofill',
+  'optional', 'required', 'valid', 'invalid', 'user-valid', 'user-invalid', 'in-range', 'out-of-range',
+  'read-only', 'empty', 'focus-within', 'hover', 'focus', 'focus-visible', 'active', 'enabled', 'disabled',
+  'inert', 'aria-', 'data-', 'supports-',
+  'motion-safe', 'motion-reduce', 'contrast-more', 'contrast-less',
+  'max-', '<breakpoints>', 'min-', '@max-', '@', '@min-',
+  'portrait', 'landscape', 'ltr', 'rtl', 'dark', 'print', 'forced-colors', 'noscript', 'starting', '[',
+];
+
+// Split a variant prefix such as `md:hover:[&>p]:` into `['md', 'hover', '[&>p]']`
+function splitVariantChain(prefix) {
+  const variants = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of prefix.replace(/!$/, '')) {
+    if (char === '[' || char === '(') depth++;
+    if (char === ']' || char === ')') depth--;
+
+    if (char === ':' && depth === 0) {
+      variants.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) variants.push(current);
+  return variants;
+}
+
+function getVariantOrder(variant, variants = {}) {
+  const { breakpoints = [], customVariants = [] } = variants;
+  const breakpointList = Array.from(breakpoints);
+  const breakpointSlot = VARIANT_ORDER.indexOf('<breakpoints>');
+
+  const breakpointIndex = breakpointList.indexOf(variant);
+  if (breakpointIndex !== -1) {
+    return breakpointSlot + (breakpointIndex + 1) / (breakpointList.length + 1);
+  }
+
+  const exactIndex = VARIANT_ORDER.indexOf(variant);
+  if (exactIndex !== -1) return exactIndex;
+
+  // Longest matching family wins: `group-hover` -> `group-`, `@md` -> `@`
+  let familyIndex = -1;
+  VARIANT_ORDER.forEach((entry, index) => {
+    const isFamily = entry.endsWith('-') || entry === '@' || entry === '[';
+    if (isFamily && variant.startsWith(entry) && (familyIndex === -1 || entry.length > VARIANT_ORDER[familyIndex].length)) {
+      familyIndex = index;
+    }
+  });
+  if (familyIndex !== -1) return familyIndex;
+
+  // Project variants sort after the built-in ones, in declaration order
+  const customList = Array.from(customVariants);
+  const customIndex = customList.indexOf(variant);
+  return VARIANT_ORDER.length + (customIndex === -1 ? customList.length : customIndex);
+}
+
+function isCommutativeVariant(variant, variants = {}) {
+  const { customVariants = [] } = variants;
+
+  if (Array.from(customVariants).includes(variant)) return false;
+  if (PSEUDO_ELEMENT_VARIANTS.includes(variant) || variant === '*' || variant === '**' || variant.startsWith('[')) return false;
+
+  return getVariantOrder(variant, variants) < VARIANT_ORDER.length;
+}
+
+/**
+ * Canonical form of a variant chain, for comparing classes. Runs of variants
+ * that only add conditions to the same element (`hover`, `focus`, `md`) apply
+ * in any order and are sorted; every other variant keeps its position.
+ */
+function normalizeVariantChain(chain, variants = {}) {
+  const normalized = [];
+  let run = [];
+
+  chain.forEach(variant => {
+    if (isCommutativeVariant(variant, variants)) {
+      run.push(variant);
+      return;
+    }
+    normalized.push(...run.sort(), variant);
+    run = [];
+  });
+
+  return normalized.concat(run.sort());
+}
+
+module.exports = {
+  getBaseClass,
+  getVariantKind,
+  findInvalidVariant,
+  getVariantVocabulary,
+  splitVariantPrefix,
+  normalizeImportant,
+  splitVariantChain,
+  getVariantOrder,
+  normalizeVariantChain,
+};
@@ -0,0 +1,155 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantChain, getVariantOrder } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors } = require('../lib/class-sources');
+const { getUtilityProperties } = require('../lib/utility-properties');
+
+// Sort groups, mirroring the cascade layers Tailwind emits: classes it doesn't
+// know first, then base and unlayered project classes, components, utilities
+const GROUP_UNKNOWN = 0;
+const GROUP_BASE = 1;
+const GROUP_COMPONENTS = 2;
+const GROUP_UTILITIES = 3;
+const GROUP_LAST = 4;
+
+// Utilities that aren't in the property table sort after every known utility
+const UNORDERED_UTILITY = Number.MAX_SAFE_INTEGER;
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Enforce the canonical Tailwind v4 class order',
+      category: 'Stylistic Issues',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          customClassOrder: {
+            type: 'string',
+            enum: ['layer', 'start', 'end'],
+            description: 'Where classes defined in your CSS go: by their `@layer`, or all at the start or end',
+            default: 'layer',
+          },
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    fixable: 'code',
+    messages: {
+      unsortedClasses: 'Tailwind classes are not in the recommended order. Expected: "{{expected}}"',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const { customClassOrder = 'layer' } = options;
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    // =========================================================================
+    // SORT KEYS
+    // =========================================================================
+
+    function getCustomClassGroup(layer) {
+      if (customClassOrder === 'start') return GROUP_UNKNOWN;
+      if (customClassOrder === 'end') return GROUP_LAST;
+      if (layer === 'components') return GROUP_COMPONENTS;
+      if (layer === 'utilities') return GROUP_UTILITIES;
+      return GROUP_BASE;
+    }
+
+    function getSortKey(className, index) {
+      const { customClassLayers, foundThemeVariables, functionalUtilities } = getRegistry();
+      const variants = splitVariantChain(className);
+      const base = variants.pop().replace(/^!/, '');
+      const variantOrder = variants.map(variant => getVariantOrder(variant, getRegistry()));
+
+      if (customClassLayers.has(base)) {
+        return { variantOrder, group: getCustomClassGroup(customClassLayers.get(base)), order: UNORDERED_UTILITY, index };
+      }
+
+      const utility = getUtilityProperties(base, foundThemeVariables);
+      if (utility) {
+        return { variantOrder, group: GROUP_UTILITIES, order: utility.order, index };
+      }
+
+      const isFunctionalUtility = Array.from(functionalUtilities).some(prefix => base.startsWith(prefix));
+      if (isFunctionalUtility) {
+        return { variantOrder, group: getCustomClassGroup('utilities'), order: UNORDERED_UTILITY, index };
+      }
+
+      return { variantOrder, group: GROUP_UNKNOWN, order: 0, index };
+    }
+
+    // Unprefixed classes first, then variant chains compared variant by variant
+    function compareVariants(a, b) {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return a.length - b.length;
+    }
+
+    function compareSortKeys(a, b) {
+      return compareVariants(a.variantOrder, b.variantOrder)
+        || a.group - b.group
+        || a.order - b.order
+        || a.index - b.index;
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    // Every string (or template literal) is its own list; classes are only
+    // reordered within the slots they already occupy
+    function groupByNode(classEntries) {
+      const lists = new Map();
+
+      classEntries.forEach(entry => {
+        if (!lists.has(entry.node)) lists.set(entry.node, []);
+        lists.get(entry.node).push(entry);
+      });
+
+      return lists;
+    }
+
+    function checkClassOrder(classEntries) {
+      groupByNode(classEntries).forEach((entries, node) => {
+        if (entries.length < 2 || entries.some(entry => !entry.range)) return;
+
+        const sorted = entries
+          .map((entry, index) => ({ entry, key: getSortKey(entry.className, index) }))
+          .sort((a, b) => compareSortKeys(a.key, b.key))
+          .map(({ entry }) => entry);
+
+        if (sorted.every((entry, index) => entry === entries[index])) return;
+
+        context.report({
+          node,
+          loc: {
+            start: sourceCode.getLocFromIndex(entries[0].range[0]),
+            end: sourceCode.getLocFromIndex(entries[entries.length - 1].range[1]),
+          },
+          messageId: 'unsortedClasses',
+          data: { expected: sorted.map(entry => entry.className).join(' ') },
+          fix: fixer => entries.map((entry, index) => fixer.replaceTextRange(entry.range, sorted[index].className)),
+        });
+      });
+    }
+
+    return createClassSourceVisitors(context, checkClassOrder);
+  },
+};
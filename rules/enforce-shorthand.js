@@ -0,0 +1,247 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantPrefix } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors, getClassRemovalRange } = require('../lib/class-sources');
+
+// =============================================================================
+// SHORTHAND FAMILIES
+// =============================================================================
+
+// `[first, second, combined]`: two sides that together make up a wider one
+const BOX_SIDES = [['t', 'b', 'y'], ['l', 'r', 'x'], ['s', 'e', 'x'], ['x', 'y', '']];
+const CORNERS = [
+  ['tl', 'tr', 't'], ['bl', 'br', 'b'], ['tl', 'bl', 'l'], ['tr', 'br', 'r'],
+  ['ss', 'es', 's'], ['se', 'ee', 'e'],
+  ['t', 'b', ''], ['l', 'r', ''], ['s', 'e', ''],
+];
+
+// `w-8 h-8` only becomes `size-8` for values both utilities resolve the same way,
+// plus the theme's own `--spacing-*` keys, which `w-`, `h-` and `size-` all read
+const SIZE_VALUE = /^(\d+(\.\d+)?|\d+\/\d+|px|full|auto|min|max|fit|\[.+\])$/;
+
+const INSET_SIDES = { top: 't', right: 'r', bottom: 'b', left: 'l', 'inset-x': 'x', 'inset-y': 'y', inset: '' };
+const INSET_NAMES = { t: 'top', r: 'right', b: 'bottom', l: 'left', x: 'inset-x', y: 'inset-y', '': 'inset' };
+
+/**
+ * Each family parses a utility into `{ side, value }`, given the theme
+ * variables, and formats it back.
+ * `combinations` lists the sides that merge into a shorthand.
+ */
+const SHORTHAND_FAMILIES = [
+  ...['p', 'm', 'scroll-p', 'scroll-m'].map(name => ({
+    name,
+    parse: utility => {
+      const match = new RegExp(`^${name}([xytrblse]?)-(.+)$`).exec(utility);
+      return match && { side: match[1], value: match[2] };
+    },
+    format: (side, value) => `${name}${side}-${value}`,
+    combinations: BOX_SIDES,
+  })),
+  {
+    name: 'inset',
+    parse: utility => {
+      const match = /^(inset-x|inset-y|inset|top|right|bottom|left)-(.+)$/.exec(utility);
+      return match && !/^(shadow|ring)/.test(match[2]) && { side: INSET_SIDES[match[1]], value: match[2] };
+    },
+    format: (side, value) => `${INSET_NAMES[side]}-${value}`,
+    combinations: BOX_SIDES,
+  },
+  {
+    name: 'border',
+    parse: utility => {
+      const match = /^border(?:-([xytrblse]))?(?:-(.+))?$/.exec(utility);
+      return match && { side: match[1] || '', value: match[2] || '' };
+    },
+    format: (side, value) => ['border', side, value].filter(Boolean).join('-'),
+    combinations: BOX_SIDES,
+  },
+  {
+    name: 'rounded',
+    parse: utility => {
+      const match = /^rounded(?:-(tl|tr|br|bl|ss|se|es|ee|[trblse]))?(?:-(.+))?$/.exec(utility);
+      return match && { side: match[1] || '', value: match[2] || '' };
+    },
+    format: (side, value) => ['rounded', side, value].filter(Boolean).join('-'),
+    combinations: CORNERS,
+  },
+  {
+    name: 'size',
+    parse: (utility, themeVariables) => {
+      const match = /^(w|h)-(.+)$/.exec(utility);
+      const sizeValue = match && (SIZE_VALUE.test(match[2]) || themeVariables.has(`spacing-${match[2]}`));
+      return sizeValue && { side: match[1], value: match[2] };
+    },
+    format: (side, value) => `${side || 'size'}-${value}`,
+    combinations: [['w', 'h', '']],
+  },
+  {
+    name: 'gap',
+    parse: utility => {
+      const match = /^gap(?:-([xy]))?-(.+)$/.exec(utility);
+      return match && { side: match[1] || '', value: match[2] };
+    },
+    format: (side, value) => `gap${side ? `-${side}` : ''}-${value}`,
+    combinations: [['x', 'y', '']],
+  },
+];
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Enforce shorthand utilities (`p-4`, `size-8`, `border-y`) over longhand pairs',
+      category: 'Stylistic Issues',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    fixable: 'code',
+    messages: {
+      useShorthand: "Classes '{{classes}}' can be combined into '{{shorthand}}'",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    /**
+     * Describe a class as `{ family, side, value, key }`, where classes sharing
+     * a key (list, variants, `!`, sign, family and value) can be merged.
+     */
+    function parseClass(entry) {
+      const { prefix, base } = splitVariantPrefix(entry.className, getRegistry());
+      const important = base.endsWith('!') ? '!' : '';
+      const unsigned = base.replace(/!$/, '');
+      const negative = unsigned.startsWith('-') ? '-' : '';
+      const utility = unsigned.slice(negative.length);
+
+      // Classes written in the project's CSS aren't Tailwind's; theme utilities (`p-gutter`) are
+      const { customClassLayers, foundThemeVariables } = getRegistry();
+      if (customClassLayers.has(utility)) return null;
+
+      for (const family of SHORTHAND_FAMILIES) {
+        const parsed = family.parse(utility, foundThemeVariables);
+        if (parsed) {
+          return {
+            entry,
+            family,
+            side: parsed.side,
+            value: parsed.value,
+            format: side => `${prefix}${negative}${family.format(side, parsed.value)}${important}`,
+            key: [prefix, important, negative, family.name, parsed.value].join('\u0000'),
+          };
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Merge sides pairwise until nothing changes: `pt pb pl pr` -> `py px` -> `p`.
+     * Returns the merged sides that were built from more than one class.
+     */
+    function combineSides(classes) {
+      const sides = new Map();
+      classes.forEach(parsed => {
+        if (!sides.has(parsed.side)) sides.set(parsed.side, [parsed]);
+      });
+
+      const { combinations } = classes[0].family;
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const [first, second, combined] of combinations) {
+          if (sides.has(first) && sides.has(second) && !sides.has(combined)) {
+            sides.set(combined, [...sides.get(first), ...sides.get(second)]);
+            sides.delete(first);
+            sides.delete(second);
+            changed = true;
+          }
+        }
+      }
+
+      return Array.from(sides, ([side, sources]) => ({ side, sources })).filter(({ sources }) => sources.length > 1);
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    function checkShorthands(classEntries) {
+      const groups = new Map();
+
+      classEntries.forEach(entry => {
+        const parsed = parseClass(entry);
+        if (!parsed) return;
+
+        if (!groups.has(entry.node)) groups.set(entry.node, new Map());
+        const families = groups.get(entry.node);
+        if (!families.has(parsed.key)) families.set(parsed.key, []);
+        families.get(parsed.key).push(parsed);
+      });
+
+      groups.forEach(families => {
+        families.forEach(classes => {
+          if (classes.length < 2) return;
+          combineSides(classes).forEach(({ side, sources }) => reportShorthand(sources, sources[0].format(side)));
+        });
+      });
+    }
+
+    // Neighbouring classes are removed as one span so the whitespace between them goes too
+    function getRemovalRanges(entries) {
+      const text = sourceCode.getText();
+      const spans = [];
+
+      entries.forEach(({ range }) => {
+        const last = spans[spans.length - 1];
+        if (last && /^\s*$/.test(text.slice(last[1], range[0]))) {
+          last[1] = range[1];
+        } else {
+          spans.push([range[0], range[1]]);
+        }
+      });
+
+      return spans.map(span => getClassRemovalRange(sourceCode, span));
+    }
+
+    function reportShorthand(sources, shorthand) {
+      const entries = sources.map(parsed => parsed.entry).sort((a, b) => (a.range && b.range ? a.range[0] - b.range[0] : 0));
+      const [first, ...rest] = entries;
+      const canFix = entries.every(entry => entry.range);
+
+      context.report({
+        node: first.node,
+        loc: canFix
+          ? { start: sourceCode.getLocFromIndex(first.range[0]), end: sourceCode.getLocFromIndex(first.range[1]) }
+          : undefined,
+        messageId: 'useShorthand',
+        data: { classes: entries.map(entry => entry.className).join(' '), shorthand },
+        fix: canFix
+          ? fixer => [
+            fixer.replaceTextRange(first.range, shorthand),
+            ...getRemovalRanges(rest).map(range => fixer.removeRange(range)),
+          ]
+          : null,
+      });
+    }
+
+    return createClassSourceVisitors(context, checkShorthands);
+  },
+};
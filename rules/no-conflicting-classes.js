@@ -0,0 +1,156 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantPrefix } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors, getClassRemovalRange } = require('../lib/class-sources');
+const { getUtilityProperties } = require('../lib/utility-properties');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow classes that set the same CSS properties under the same variants',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    hasSuggestions: true,
+    messages: {
+      conflictingClasses: "'{{className}}' is overridden by '{{overriddenBy}}' ({{properties}})",
+      removeClass: "Remove '{{className}}'",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    // =========================================================================
+    // PROPERTIES
+    // =========================================================================
+
+    /**
+     * The CSS properties a base class sets, with its position in Tailwind's
+     * property order. Custom `@utility` definitions have no known position
+     * (`order: null`); plain CSS classes and unknown classes return null.
+     * Utilities the theme generates (`bg-brand`) belong to their family.
+     */
+    function getClassProperties(base) {
+      const { utilityProperties, customClassLayers, foundThemeVariables } = getRegistry();
+      const utility = base.replace(/^!/, '').replace(/!$/, '');
+
+      if (utilityProperties.has(utility)) {
+        return { order: null, properties: utilityProperties.get(utility) };
+      }
+
+      for (const [name, properties] of utilityProperties) {
+        if (name.endsWith('-*') && utility.startsWith(name.slice(0, -1))) {
+          return { order: null, properties };
+        }
+      }
+
+      if (customClassLayers.has(utility)) return null;
+
+      return getUtilityProperties(utility, foundThemeVariables);
+    }
+
+    // Classes only conflict when they apply under the same variants and importance
+    function getVariantContext(className) {
+      const { prefix, base } = splitVariantPrefix(className, getRegistry());
+      return base.endsWith('!') ? `${prefix}!` : prefix;
+    }
+
+    /**
+     * Whether `b` wins over `a` in the generated CSS. Tailwind emits utilities in
+     * property order and, within the same property, broader utilities (`p-4`)
+     * before narrower ones (`px-2`). Anything else is resolved by list position.
+     */
+    function overrides(b, a) {
+      if (a.order !== null && b.order !== null && a.order !== b.order) {
+        return b.order > a.order;
+      }
+      if (a.properties.length !== b.properties.length) {
+        return b.properties.length < a.properties.length;
+      }
+      return b.index > a.index;
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    function groupBy(items, getKey) {
+      const groups = new Map();
+
+      items.forEach(item => {
+        const key = getKey(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      });
+
+      return groups;
+    }
+
+    function checkConflicts(classEntries) {
+      groupBy(classEntries, entry => entry.node).forEach(entries => {
+        const utilities = entries
+          .map((entry, index) => ({ ...entry, index, ...getClassProperties(splitVariantPrefix(entry.className, getRegistry()).base) }))
+          .filter(utility => utility.properties && utility.properties.length > 0);
+
+        groupBy(utilities, utility => getVariantContext(utility.className)).forEach(group => {
+          group.forEach(utility => {
+            // Exact duplicates are left to `no-duplicate-classes`
+            const overriders = group.filter(other => other.className !== utility.className
+              && overrides(other, utility)
+              && other.properties.some(property => utility.properties.includes(property)));
+
+            const overridden = new Set(overriders.flatMap(other => other.properties));
+            if (overriders.length === 0 || !utility.properties.every(property => overridden.has(property))) return;
+
+            reportConflict(utility, overriders);
+          });
+        });
+      });
+    }
+
+    function reportConflict(utility, overriders) {
+      const { node, className, range } = utility;
+      const loc = range
+        ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+        : undefined;
+
+      context.report({
+        node,
+        loc,
+        messageId: 'conflictingClasses',
+        data: {
+          className,
+          overriddenBy: overriders.map(other => other.className).join(' '),
+          properties: utility.properties.join(', '),
+        },
+        suggest: range ? [{
+          messageId: 'removeClass',
+          data: { className },
+          fix: fixer => fixer.removeRange(getClassRemovalRange(sourceCode, range)),
+        }] : [],
+      });
+    }
+
+    return createClassSourceVisitors(context, checkConflicts);
+  },
+};
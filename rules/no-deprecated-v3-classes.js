@@ -0,0 +1,195 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantPrefix } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors, getClassRemovalRange } = require('../lib/class-sources');
+const { getUtilityProperties } = require('../lib/utility-properties');
+
+// =============================================================================
+// MIGRATION TABLE
+// =============================================================================
+
+/**
+ * v3 class names and their v4 replacements. `changedMeaning` marks names that
+ * are still valid in v4 but now produce different styles. They are only
+ * reported with the `changedMeaning` option and never auto-fixed: whether
+ * `shadow-sm` means the v3 or the v4 size depends on when it was written.
+ */
+const RENAMED_CLASSES = [
+  { pattern: /^bg-gradient-to-(.+)$/, replacement: 'bg-linear-to-$1' },
+  { pattern: /^flex-grow(-.+)?$/, replacement: 'grow$1' },
+  { pattern: /^flex-shrink(-.+)?$/, replacement: 'shrink$1' },
+  { pattern: /^overflow-ellipsis$/, replacement: 'text-ellipsis' },
+  { pattern: /^decoration-(slice|clone)$/, replacement: 'box-decoration-$1' },
+  { pattern: /^(shadow|drop-shadow|blur|backdrop-blur)-sm$/, replacement: '$1-xs', changedMeaning: true },
+  { pattern: /^rounded(-(?:[trbl]|[se]|tl|tr|br|bl|ss|se|es|ee))?-sm$/, replacement: 'rounded$1-xs', changedMeaning: true },
+  { pattern: /^outline-none$/, replacement: 'outline-hidden', changedMeaning: true },
+  { pattern: /^ring$/, replacement: 'ring-3', changedMeaning: true },
+  { pattern: /^(shadow|drop-shadow|blur|backdrop-blur)$/, replacement: '$1-sm', changedMeaning: true },
+  { pattern: /^rounded(-(?:[trbl]|[se]|tl|tr|br|bl|ss|se|es|ee))?$/, replacement: 'rounded$1-sm', changedMeaning: true },
+];
+
+// Utilities that only enabled other utilities in v3 and do nothing in v4
+const REMOVED_CLASSES = ['transform', 'filter', 'backdrop-filter'];
+
+// `bg-opacity-50` next to `bg-red-500` becomes `bg-red-500/50`
+const OPACITY_PATTERN = /^(bg|text|border|divide|ring|placeholder)-opacity-(.+)$/;
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Disallow Tailwind v3 class names that were renamed or removed in v4',
+      category: 'Best Practices',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          changedMeaning: {
+            type: 'boolean',
+            description: 'Suggest renames for v3 names that are valid v4 classes with different styles (`shadow-sm`, `rounded`, `outline-none`, `ring`) while migrating',
+            default: false,
+          },
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    fixable: 'code',
+    hasSuggestions: true,
+    messages: {
+      renamedClass: "'{{className}}' was renamed to '{{replacement}}' in Tailwind v4",
+      removedClass: "'{{className}}' is not needed in Tailwind v4 and can be removed",
+      opacityClass: "'{{className}}' was removed in Tailwind v4. Use an opacity modifier such as '{{replacement}}'",
+      replaceClass: "Replace '{{className}}' with '{{replacement}}'",
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const { changedMeaning = false } = options;
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    // Split `md:hover:!flex-grow!` into the variants, the utility and the `!` modifiers
+    function parseClass(className) {
+      const { prefix, base } = splitVariantPrefix(className, getRegistry());
+      const important = base.endsWith('!') ? '!' : '';
+      return { prefix, utility: important ? base.slice(0, -1) : base, important };
+    }
+
+    function getRenamedClass(utility) {
+      const rename = RENAMED_CLASSES.find(({ pattern, changedMeaning: changed }) => pattern.test(utility) && (changedMeaning || !changed));
+      if (!rename) return null;
+
+      return { replacement: utility.replace(rename.pattern, rename.replacement), fixable: !rename.changedMeaning };
+    }
+
+    function getLoc(range) {
+      return range
+        ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+        : undefined;
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    function checkDeprecatedClasses(classEntries) {
+      classEntries.forEach(entry => {
+        const { prefix, utility, important } = parseClass(entry.className);
+
+        // A class the project defines itself is not a Tailwind utility
+        if (getRegistry().customClasses.has(utility)) return;
+
+        if (OPACITY_PATTERN.test(utility)) {
+          reportOpacityClass(entry, classEntries);
+          return;
+        }
+
+        if (REMOVED_CLASSES.includes(utility)) {
+          reportRemovedClass(entry);
+          return;
+        }
+
+        const renamed = getRenamedClass(utility);
+        if (renamed) {
+          reportRenamedClass(entry, `${prefix}${renamed.replacement}${important}`, renamed.fixable);
+        }
+      });
+    }
+
+    function reportRenamedClass({ node, className, range }, replacement, fixable) {
+      const fix = fixer => fixer.replaceTextRange(range, replacement);
+
+      context.report({
+        node,
+        loc: getLoc(range),
+        messageId: 'renamedClass',
+        data: { className, replacement },
+        fix: range && fixable ? fix : null,
+        suggest: range && !fixable ? [{ messageId: 'replaceClass', data: { className, replacement }, fix }] : [],
+      });
+    }
+
+    function reportRemovedClass({ node, className, range }) {
+      context.report({
+        node,
+        loc: getLoc(range),
+        messageId: 'removedClass',
+        data: { className },
+        fix: range ? fixer => fixer.removeRange(getClassRemovalRange(sourceCode, range)) : null,
+      });
+    }
+
+    /**
+     * Fold `bg-opacity-50` into the colour class it modifies. The colour has to
+     * be in the same list (same string) under the same variants; otherwise the
+     * class is reported without a fix.
+     */
+    function reportOpacityClass(entry, classEntries) {
+      const { node, className, range } = entry;
+      const { prefix, utility, important } = parseClass(className);
+      const [, type, opacity] = OPACITY_PATTERN.exec(utility);
+
+      const colorEntry = classEntries.find(other => {
+        if (other === entry || other.node !== node || !other.range) return false;
+
+        const color = parseClass(other.className);
+        if (color.prefix !== prefix || color.important !== important) return false;
+        if (!color.utility.startsWith(`${type}-`) || color.utility.includes('/')) return false;
+
+        const utilityProperties = getUtilityProperties(color.utility, getRegistry().foundThemeVariables);
+        return Boolean(utilityProperties) && utilityProperties.properties.every(property => /color$/.test(property));
+      });
+
+      const replacement = colorEntry
+        ? `${prefix}${parseClass(colorEntry.className).utility}/${opacity}${important}`
+        : `${type}-<color>/${opacity}`;
+
+      context.report({
+        node,
+        loc: getLoc(range),
+        messageId: 'opacityClass',
+        data: { className, replacement },
+        fix: colorEntry && range
+          ? fixer => [
+            fixer.replaceTextRange(colorEntry.range, replacement),
+            fixer.removeRange(getClassRemovalRange(sourceCode, range)),
+          ]
+          : null,
+      });
+    }
+
+    return createClassSourceVisitors(context, checkDeprecatedClasses);
+  },
+};
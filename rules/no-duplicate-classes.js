@@ -0,0 +1,110 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantChain, normalizeVariantChain } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors, getClassRemovalRange } = require('../lib/class-sources');
+
+// Expressions whose class strings only apply some of the time
+const CONDITIONAL_TYPES = ['ConditionalExpression', 'LogicalExpression', 'Property'];
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Disallow duplicate classes, including the same variants in a different order',
+      category: 'Best Practices',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    fixable: 'code',
+    messages: {
+      duplicateClass: "Class '{{className}}' is duplicated",
+      equivalentClass: "Class '{{className}}' is the same as '{{original}}'",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    // `focus:hover:p-4!` and `hover:focus:!p-4` share the key `focus:hover:p-4!`
+    function getClassKey(className) {
+      const chain = splitVariantChain(className);
+      const base = chain.pop();
+      const important = className.endsWith('!') || base.startsWith('!');
+
+      return [...normalizeVariantChain(chain, getRegistry()), base.replace(/^!/, '')].join(':') + (important ? '!' : '');
+    }
+
+    // Whether a class string always applies whenever its source does
+    function isUnconditional(node, sourceNode) {
+      for (let current = node; current && current !== sourceNode; current = current.parent) {
+        if (CONDITIONAL_TYPES.includes(current.type)) return false;
+      }
+      return true;
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    /**
+     * Within one string every repeat is redundant. Across the strings of one
+     * source (`cn('flex', 'p-2 flex')`) a repeat is only redundant when the
+     * class it repeats is always applied, so `a ? 'flex' : 'flex p-2'` is fine.
+     */
+    function checkDuplicates(classEntries, sourceNode) {
+      const groups = new Map();
+
+      classEntries.forEach(entry => {
+        const key = getClassKey(entry.className);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+
+      groups.forEach(entries => {
+        if (entries.length < 2) return;
+
+        const original = entries.find(entry => isUnconditional(entry.node, sourceNode));
+
+        entries.forEach((entry, index) => {
+          if (entry === original) return;
+
+          const duplicateOf = original || entries.slice(0, index).find(other => other.node === entry.node);
+          if (duplicateOf) {
+            reportDuplicate(entry, duplicateOf);
+          }
+        });
+      });
+    }
+
+    function reportDuplicate({ node, className, range }, original) {
+      context.report({
+        node,
+        loc: range
+          ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+          : undefined,
+        messageId: className === original.className ? 'duplicateClass' : 'equivalentClass',
+        data: { className, original: original.className },
+        fix: range ? fixer => fixer.removeRange(getClassRemovalRange(sourceCode, range)) : null,
+      });
+    }
+
+    return createClassSourceVisitors(context, checkDuplicates);
+  },
+};
@@ -1,5 +1,319 @@
 const fs = require('fs');
 const path = require('path');
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const {
+  getBaseClass,
+  splitVariantPrefix,
+  splitVariantChain,
+  normalizeImportant,
+  findInvalidVariant,
+  getVariantVocabulary,
+} = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors } = require('../lib/class-sources');
+const { checkArbitraryValue, isBalanced, parseArbitraryValue } = require('../lib/arbitrary-values');
+const { globToRegExp, stringArraySchema } = require('../lib/utils');
+const { createDebugLogger } = require('../lib/debug');
+
+// =============================================================================
+// ALLOWLIST FILES
+// =============================================================================
+
+const allowlistCache = new Map();
+
+/**
+ * Read a design-system allowlist: either JSON (an array of class names, or
+ * `{ "classes": [...], "patterns": [...] }`) or plain text with one class per
+ * line, `#` comments and `/regex/` lines. Class names may use `*` wildcards.
+ */
+function loadAllowlistFile(filePath, log) {
+  const empty = { classes: [], patterns: [] };
+  let mtimeMs;
+
+  try {
+    ({ mtimeMs } = fs.statSync(filePath));
+  } catch (error) {
+    log('allowlist:missing', { file: filePath });
+    return empty;
+  }
+
+  const cached = allowlistCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.allowlist;
+  }
+
+  let allowlist = empty;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    allowlist = path.extname(filePath) === '.json'
+      ? parseJSONAllowlist(content)
+      : parseTextAllowlist(content);
+  } catch (error) {
+    log('allowlist:unreadable', { file: filePath, error: error.message });
+  }
+
+  allowlistCache.set(filePath, { mtimeMs, allowlist });
+  return allowlist;
+}
+
+function parseJSONAllowlist(content) {
+  const data = JSON.parse(content);
+  const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+  if (Array.isArray(data)) {
+    return { classes: strings(data), patterns: [] };
+  }
+
+  return { classes: strings(data.classes), patterns: strings(data.patterns) };
+}
+
+function parseTextAllowlist(content) {
+  const allowlist = { classes: [], patterns: [] };
+
+  content.split(/\r?\n/).forEach(line => {
+    const entry = line.replace(/#.*$/, '').trim();
+    if (!entry) return;
+
+    const regexMatch = /^\/(.+)\/$/.exec(entry);
+    if (regexMatch) {
+      allowlist.patterns.push(regexMatch[1]);
+    } else {
+      allowlist.classes.push(entry);
+    }
+  });
+
+  return allowlist;
+}
+
+// =============================================================================
+// SUGGESTIONS
+// =============================================================================
+
+const MAX_SUGGESTIONS = 3;
+
+const COLOR_NAMES = ['slate', 'gray', 'zinc', 'neutral', 'stone', 'red', 'orange', 'amber', 'yellow', 'lime', 'green', 'emerald', 'teal', 'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose'];
+const COLOR_SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+const SPECIAL_COLORS = ['inherit', 'current', 'transparent', 'black', 'white'];
+const COLOR_PREFIXES = ['text', 'bg', 'border', 'decoration', 'outline', 'ring', 'ring-offset', 'shadow', 'inset-shadow', 'inset-ring', 'text-shadow', 'accent', 'caret', 'fill', 'stroke', 'from', 'via', 'to'];
+const SPACING_SCALE = ['0', '0.5', '1', '1.5', '2', '2.5', '3', '3.5', '4', '5', '6', '7', '8', '9', '10', '11', '12', '14', '16', '20', '24', '28', '32', '36', '40', '44', '48', '52', '56', '60', '64', '72', '80', '96', 'px'];
+const SIZE_SCALE = ['none', 'xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl'];
+
+// Enumerable counterpart of the patterns in isTailwindUtility, used as the
+// candidate pool for "did you mean" suggestions
+const STATIC_UTILITIES = [
+  'container', 'block', 'inline-block', 'inline', 'flex', 'inline-flex', 'table', 'inline-table', 'flow-root', 'grid', 'inline-grid', 'contents', 'list-item', 'hidden',
+  'aspect-square', 'aspect-video', 'aspect-auto', 'group', 'peer',
+  'flex-row', 'flex-row-reverse', 'flex-col', 'flex-col-reverse', 'flex-wrap', 'flex-wrap-reverse', 'flex-nowrap', 'flex-1', 'flex-auto', 'flex-initial', 'flex-none',
+  'grow', 'grow-0', 'shrink', 'shrink-0',
+  'uppercase', 'lowercase', 'capitalize', 'normal-case', 'italic', 'not-italic', 'underline', 'overline', 'line-through', 'no-underline',
+  'truncate', 'break-normal', 'break-words', 'break-all', 'break-keep',
+  'border', 'border-x', 'border-y', 'border-s', 'border-e', 'border-t', 'border-r', 'border-b', 'border-l',
+  'border-solid', 'border-dashed', 'border-dotted', 'border-double', 'border-hidden', 'border-none', 'border-collapse', 'border-separate',
+  'outline', 'outline-none', 'outline-hidden', 'outline-dashed', 'outline-dotted', 'outline-double', 'ring', 'ring-inset', 'rounded', 'shadow', 'shadow-inner',
+  'static', 'fixed', 'absolute', 'relative', 'sticky', 'visible', 'invisible', 'collapse', 'isolate', 'isolation-auto',
+  'sr-only', 'not-sr-only', 'appearance-none', 'appearance-auto', 'pointer-events-none', 'pointer-events-auto',
+  'resize', 'resize-none', 'resize-x', 'resize-y', 'scroll-auto', 'scroll-smooth', 'select-none', 'select-text', 'select-all', 'select-auto',
+  'transition', 'transition-none', 'transition-all', 'transition-colors', 'transition-opacity', 'transition-shadow', 'transition-transform',
+  'ease-linear', 'ease-in', 'ease-out', 'ease-in-out', 'table-auto', 'table-fixed', 'caption-top', 'caption-bottom',
+  'list-none', 'list-disc', 'list-decimal', 'list-inside', 'list-outside', 'transform-cpu', 'transform-gpu', 'transform-none',
+  'box-decoration-slice', 'box-decoration-clone', 'inset-ring',
+];
+
+const VALUE_UTILITIES = [
+  [['items'], ['start', 'end', 'center', 'stretch', 'baseline']],
+  [['justify', 'content', 'place-content'], ['start', 'end', 'center', 'stretch', 'between', 'around', 'evenly']],
+  [['self', 'place-items', 'place-self'], ['auto', 'start', 'end', 'center', 'stretch', 'baseline']],
+  [['p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe', 'm', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me', 'gap', 'gap-x', 'gap-y', 'space-x', 'space-y', 'indent', 'scroll-m', 'scroll-p'], SPACING_SCALE],
+  [['m', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me'], ['auto']],
+  [['w', 'h', 'size', 'min-w', 'min-h', 'max-w', 'max-h'], [...SPACING_SCALE, 'auto', 'full', 'screen', 'min', 'max', 'fit', '1/2', '1/3', '2/3', '1/4', '3/4']],
+  [['inset', 'inset-x', 'inset-y', 'top', 'right', 'bottom', 'left'], [...SPACING_SCALE, 'auto', 'full', '1/2']],
+  [['text'], ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl', 'left', 'center', 'right', 'justify', 'start', 'end', 'wrap', 'nowrap', 'balance', 'pretty', 'ellipsis', 'clip']],
+  [['font'], ['thin', 'extralight', 'light', 'normal', 'medium', 'semibold', 'bold', 'extrabold', 'black', 'sans', 'serif', 'mono']],
+  [['leading'], ['none', 'tight', 'snug', 'normal', 'relaxed', 'loose']],
+  [['tracking'], ['tighter', 'tight', 'normal', 'wide', 'wider', 'widest']],
+  [['whitespace'], ['normal', 'nowrap', 'pre', 'pre-line', 'pre-wrap', 'break-spaces']],
+  [['line-clamp'], ['1', '2', '3', '4', '5', '6', 'none']],
+  [['rounded', 'shadow', 'blur', 'backdrop-blur', 'drop-shadow'], SIZE_SCALE],
+  [['rounded'], ['full']],
+  [['shadow'], ['2xs']],
+  [['inset-shadow'], ['none', '2xs', 'xs', 'sm']],
+  [['text-shadow'], ['none', '2xs', 'xs', 'sm', 'md', 'lg']],
+  [['inset-ring'], ['0', '1', '2', '4', '8']],
+  [['rounded-t', 'rounded-r', 'rounded-b', 'rounded-l', 'rounded-tl', 'rounded-tr', 'rounded-br', 'rounded-bl'], [...SIZE_SCALE, 'full']],
+  [['border', 'border-x', 'border-y', 'border-t', 'border-r', 'border-b', 'border-l', 'outline', 'outline-offset', 'ring', 'ring-offset', 'divide-x', 'divide-y'], ['0', '2', '4', '8']],
+  [['opacity'], ['0', '5', '10', '20', '25', '30', '40', '50', '60', '70', '75', '80', '90', '95', '100']],
+  [['duration', 'delay'], ['75', '100', '150', '200', '300', '500', '700', '1000']],
+  [['z'], ['0', '10', '20', '30', '40', '50', 'auto']],
+  [['scale', 'scale-x', 'scale-y'], ['0', '50', '75', '90', '95', '100', '105', '110', '125', '150']],
+  [['rotate'], ['0', '1', '2', '3', '6', '12', '45', '90', '180']],
+  [['translate-x', 'translate-y'], [...SPACING_SCALE, 'full', '1/2']],
+  [['origin'], ['center', 'top', 'top-right', 'right', 'bottom-right', 'bottom', 'bottom-left', 'left', 'top-left']],
+  [['overflow', 'overflow-x', 'overflow-y'], ['auto', 'hidden', 'clip', 'visible', 'scroll']],
+  [['overscroll', 'overscroll-x', 'overscroll-y'], ['auto', 'contain', 'none']],
+  [['object'], ['contain', 'cover', 'fill', 'none', 'scale-down', 'bottom', 'center', 'left', 'right', 'top']],
+  [['cursor'], ['auto', 'default', 'pointer', 'wait', 'text', 'move', 'help', 'not-allowed', 'none', 'grab', 'grabbing', 'zoom-in', 'zoom-out']],
+  [['bg'], ['fixed', 'local', 'scroll', 'auto', 'cover', 'contain', 'center', 'top', 'right', 'bottom', 'left', 'repeat', 'no-repeat', 'repeat-x', 'repeat-y']],
+  [['bg-linear-to'], ['t', 'tr', 'r', 'br', 'b', 'bl', 'l', 'tl']],
+  [['bg-clip'], ['border', 'padding', 'content', 'text']],
+  [['animate'], ['none', 'spin', 'ping', 'pulse', 'bounce']],
+  [['grid-cols', 'grid-rows'], ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', 'none', 'subgrid']],
+  [['col-span', 'row-span'], ['1', '2', '3', '4', '5', '6', 'full']],
+  [['col', 'row'], ['auto']],
+  [['grid-flow'], ['row', 'col', 'dense', 'row-dense', 'col-dense']],
+  [['snap'], ['none', 'x', 'y', 'both', 'mandatory', 'proximity', 'start', 'end', 'center']],
+  [['touch'], ['auto', 'none', 'pan-x', 'pan-y', 'manipulation']],
+  [['mix-blend', 'bg-blend'], ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten']],
+  [COLOR_PREFIXES, SPECIAL_COLORS],
+  [COLOR_PREFIXES.flatMap(prefix => COLOR_NAMES.map(color => `${prefix}-${color}`)), COLOR_SHADES],
+];
+
+let tailwindVocabulary = null;
+
+function getTailwindVocabulary() {
+  if (!tailwindVocabulary) {
+    const vocabulary = new Set(STATIC_UTILITIES);
+    VALUE_UTILITIES.forEach(([prefixes, values]) => {
+      prefixes.forEach(prefix => {
+        values.forEach(value => vocabulary.add(`${prefix}-${value}`));
+      });
+    });
+    tailwindVocabulary = Array.from(vocabulary);
+  }
+
+  return tailwindVocabulary;
+}
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions,
+// so `itmes` is one edit away from `items`. Gives up once `maxDistance` is exceeded.
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return Infinity;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// =============================================================================
+// THEME NAMESPACES
+// =============================================================================
+
+const COLOR_UTILITY_PREFIX = '(?:text|bg|border(?:-(?:t|r|b|l|x|y|s|e|is|ie|bs|be))?|decoration|outline|ring|ring-offset|inset-ring|shadow|inset-shadow|text-shadow|drop-shadow|accent|caret|fill|stroke|from|via|to|divide|placeholder)';
+const SPACING_UTILITY_PREFIX = '(?:p|px|py|pt|pr|pb|pl|ps|pe|m|mx|my|mt|mr|mb|ml|ms|me|gap|gap-x|gap-y|space-x|space-y|inset|inset-x|inset-y|top|right|bottom|left|w|h|size|min-w|min-h|max-w|max-h|indent|basis|translate-x|translate-y|scroll-m|scroll-p)';
+
+// Default utilities backed by a theme variable. When a namespace is reset with
+// `--<namespace>-*: initial` (or `--*: initial`) these disappear unless the
+// project re-declares the variable they read from.
+const DEFAULT_THEME_UTILITIES = [
+  {
+    namespace: 'color',
+    pattern: new RegExp(`^${COLOR_UTILITY_PREFIX}-(${COLOR_NAMES.join('|')})-(${COLOR_SHADES.join('|')})(?:\\/\\d+)?$`),
+    variable: match => `color-${match[1]}-${match[2]}`,
+  },
+  {
+    namespace: 'color',
+    pattern: new RegExp(`^${COLOR_UTILITY_PREFIX}-(black|white)(?:\\/\\d+)?$`),
+    variable: match => `color-${match[1]}`,
+  },
+  {
+    namespace: 'spacing',
+    pattern: new RegExp(`^-?${SPACING_UTILITY_PREFIX}-\\d+(?:\\.\\d+)?$`),
+    variable: () => 'spacing',
+  },
+  {
+    namespace: 'radius',
+    pattern: /^rounded(?:-(?:s|e|t|r|b|l|ss|se|ee|es|tl|tr|br|bl))?-(xs|sm|md|lg|xl|2xl|3xl|4xl)$/,
+    variable: match => `radius-${match[1]}`,
+  },
+  {
+    namespace: 'shadow',
+    pattern: /^shadow-(2xs|xs|sm|md|lg|xl|2xl)$/,
+    variable: match => `shadow-${match[1]}`,
+  },
+  {
+    namespace: 'inset-shadow',
+    pattern: /^inset-shadow-(2xs|xs|sm)$/,
+    variable: match => `inset-shadow-${match[1]}`,
+  },
+  {
+    namespace: 'text-shadow',
+    pattern: /^text-shadow-(2xs|xs|sm|md|lg)$/,
+    variable: match => `text-shadow-${match[1]}`,
+  },
+  {
+    namespace: 'drop-shadow',
+    pattern: /^drop-shadow-(xs|sm|md|lg|xl|2xl)$/,
+    variable: match => `drop-shadow-${match[1]}`,
+  },
+  {
+    namespace: 'font',
+    pattern: /^font-(sans|serif|mono)$/,
+    variable: match => `font-${match[1]}`,
+  },
+  {
+    namespace: 'font-weight',
+    pattern: /^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black)$/,
+    variable: match => `font-weight-${match[1]}`,
+  },
+  {
+    namespace: 'text',
+    pattern: /^text-(xs|sm|base|lg|xl|2xl|3xl|4xl|5xl|6xl|7xl|8xl|9xl)$/,
+    variable: match => `text-${match[1]}`,
+  },
+  {
+    namespace: 'leading',
+    pattern: /^leading-(tight|snug|normal|relaxed|loose)$/,
+    variable: match => `leading-${match[1]}`,
+  },
+  {
+    namespace: 'tracking',
+    pattern: /^tracking-(tighter|tight|normal|wide|wider|widest)$/,
+    variable: match => `tracking-${match[1]}`,
+  },
+  {
+    namespace: 'blur',
+    pattern: /^(?:backdrop-)?blur-(xs|sm|md|lg|xl|2xl|3xl)$/,
+    variable: match => `blur-${match[1]}`,
+  },
+  {
+    namespace: 'animate',
+    pattern: /^animate-(spin|ping|pulse|bounce)$/,
+    variable: match => `animate-${match[1]}`,
+  },
+  {
+    namespace: 'ease',
+    pattern: /^ease-(in|out|in-out)$/,
+    variable: match => `ease-${match[1]}`,
+  },
+];
+
+// Variables Tailwind's default theme declares, which `var()` in arbitrary values may read
+const DEFAULT_THEME_VARIABLES = [
+  { namespace: 'color', pattern: new RegExp(`^color-(${COLOR_NAMES.join('|')})-(${COLOR_SHADES.join('|')})$`) },
+  { namespace: 'color', pattern: /^color-(black|white)$/ },
+  { namespace: 'spacing', pattern: /^spacing$/ },
+  { namespace: null, pattern: /^(font|text|font-weight|tracking|leading|breakpoint|container|radius|shadow|inset-shadow|drop-shadow|text-shadow|blur|perspective|aspect|ease|animate)-[\w-]+$/ },
+];
 
 module.exports = {
   meta: {
@@ -13,42 +327,83 @@ module.exports = {
       {
         type: 'object',
         properties: {
-          cssFile: {
-            type: 'string',
-            description: 'Path to globals.css file',
-            default: 'src/styles/globals.css',
-          },
           allowArbitraryValues: {
             type: 'boolean',
             default: true,
           },
-          debug: {
+          validateArbitraryValues: {
+            type: 'boolean',
+            description: 'Type-check arbitrary values (colour, length, number, url, `var()`) against what each utility expects',
+            default: false,
+          },
+          customClasses: stringArraySchema('Additional class names to allow'),
+          allowPatterns: stringArraySchema('Regular expressions matching class names to allow'),
+          ignoreClasses: stringArraySchema('Class names to skip, `*` wildcards allowed (e.g. `js-*`)'),
+          allowlistFile: {
+            type: 'string',
+            description: 'JSON or text file listing additional allowed classes and patterns',
+          },
+          fixTypos: {
             type: 'boolean',
+            description: 'Auto-fix undefined classes that have exactly one closest match',
             default: false,
           },
+          ...classSourceSchema,
+          ...registrySchema,
         },
         additionalProperties: false,
       },
     ],
+    fixable: 'code',
+    hasSuggestions: true,
     messages: {
       undefinedClass: "Tailwind class '{{className}}' is not defined in your CSS",
+      invalidArbitraryValue: "Arbitrary value '{{value}}' in '{{className}}' is not a valid {{expected}}",
+      unbalancedArbitraryValue: "Arbitrary value in '{{className}}' has unbalanced brackets",
+      undefinedVariable: "'{{className}}' reads '--{{variable}}', which is not defined in your CSS",
+      invalidVariant: "Unknown variant '{{variant}}' in '{{className}}'",
+      invalidVariantWithSuggestion: "Unknown variant '{{variant}}' in '{{className}}'. Did you mean '{{suggestion}}'?",
+      replaceVariant: "Replace '{{variant}}' with '{{suggestion}}'",
+      invalidAllowPattern: "Invalid pattern '{{pattern}}' in {{source}} is ignored: {{detail}}",
+      missingCssFile: "CSS entrypoint '{{file}}' does not exist. Point `cssFile` or `cssFiles` at your Tailwind stylesheet",
+      unreadableCssFile: "Could not read '{{file}}': {{detail}}",
+      unresolvedImport: "@{{directive}} '{{specifier}}' in '{{file}}:{{line}}' could not be resolved",
+      missingTailwindImport: "No `@import \"tailwindcss\"` found in '{{file}}' or its imports, so only classes defined in your CSS are recognised",
+      malformedTheme: "Malformed @theme in '{{file}}:{{line}}': {{detail}}",
+      missingPrefix: "Tailwind class '{{className}}' must use the '{{prefix}}:' prefix from your Tailwind import",
+      unexpectedPrefix: "'{{className}}' is a class from your CSS, which the Tailwind prefix doesn't apply to. Use '{{replacement}}'",
+      undefinedClassWithSuggestion: "Tailwind class '{{className}}' is not defined in your CSS. Did you mean '{{suggestion}}'?",
+      replaceClass: "Replace '{{className}}' with '{{suggestion}}'",
     },
   },
 
   create(context) {
     const options = context.options[0] || {};
     const {
-      cssFile = 'src/styles/globals.css',
       allowArbitraryValues = true,
+      validateArbitraryValues = false,
+      customClasses = [],
+      allowPatterns = [],
+      ignoreClasses = [],
+      allowlistFile,
+      fixTypos = false,
       debug = false
     } = options;
 
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const log = createDebugLogger(debug);
+
     // State variables
+    let registry = null;
     let validClasses = new Set();
-    let customClasses = new Set();
     let hasTailwindImport = false;
     let cssLoaded = false;
     let foundThemeVariables = new Set();
+    let functionalUtilities = new Set();
+    let resetNamespaces = new Set();
+    let removedThemeVariables = new Set();
+    let allowedClasses = new Set();
+    let allowRegexes = [];
 
     // =============================================================================
     // MAIN ENTRY POINT
@@ -58,559 +413,144 @@ module.exports = {
       if (cssLoaded) return;
 
       const projectRoot = context.getCwd();
-      const cssPath = path.resolve(projectRoot, cssFile);
-
-      if (debug) {
-        console.log(`🔍 Loading CSS from: ${cssPath}`);
-      }
+      registry = getRegistryForContext(context);
 
-      parseCSSImports(cssPath, projectRoot);
-      customClasses.forEach(cls => validClasses.add(cls));
+      validClasses = registry.validClasses;
+      hasTailwindImport = registry.hasTailwindImport;
+      foundThemeVariables = registry.foundThemeVariables;
+      functionalUtilities = registry.functionalUtilities;
+      resetNamespaces = registry.resetNamespaces;
+      removedThemeVariables = registry.removedThemeVariables;
 
-      if (debug) {
-        console.log(`✅ Tailwind import detected: ${hasTailwindImport}`);
-        console.log(`✅ Custom classes found: ${customClasses.size}`);
-        console.log(`✅ Total valid classes: ${validClasses.size}`);
-        console.log(`✅ Theme variables found: ${foundThemeVariables.size}`);
-        console.log(`🔍 Sample custom classes: ${Array.from(customClasses).slice(0, 15).join(', ')}`);
-        console.log(`🔍 Sample theme variables: ${Array.from(foundThemeVariables).slice(0, 10).join(', ')}`);
-      }
+      loadAllowlist(projectRoot);
+      reportConfigurationProblems(projectRoot);
 
       cssLoaded = true;
     }
 
-    // =============================================================================
-    // CSS PARSING
-    // =============================================================================
-
-    function parseCSSImports(cssPath, projectRoot) {
-      if (!fs.existsSync(cssPath)) {
-        if (debug) console.warn(`CSS file not found: ${cssPath}`);
-        return;
-      }
-
-      const visited = new Set();
-      const cssQueue = [cssPath];
-
-      while (cssQueue.length > 0) {
-        const currentPath = cssQueue.shift();
-        if (visited.has(currentPath)) continue;
-        visited.add(currentPath);
-
-        try {
-          const cssContent = fs.readFileSync(currentPath, 'utf8');
+    // customClasses / allowPatterns / ignoreClasses / allowlistFile, checked before anything else
+    function loadAllowlist(projectRoot) {
+      const classes = [...customClasses, ...ignoreClasses];
+      const patterns = allowPatterns.map(pattern => ({ pattern, source: '`allowPatterns`' }));
 
-          if (debug) {
-            console.log(`📁 Parsing: ${path.relative(projectRoot, currentPath)}`);
-          }
-
-          // Detect Tailwind imports
-          detectTailwindImport(cssContent);
-
-          // Extract custom classes and theme variables
-          extractCustomClasses(cssContent, currentPath, projectRoot);
-
-          // Queue additional CSS imports
-          queueCSSImports(cssContent, currentPath, projectRoot, cssQueue, visited);
-
-        } catch (error) {
-          if (debug) console.warn(`Error reading ${currentPath}:`, error.message);
-        }
+      if (allowlistFile) {
+        const allowlist = loadAllowlistFile(path.resolve(projectRoot, allowlistFile), log);
+        classes.push(...allowlist.classes);
+        patterns.push(...allowlist.patterns.map(pattern => ({ pattern, source: `'${allowlistFile}'` })));
       }
-    }
 
-    function detectTailwindImport(cssContent) {
-      const tailwindImportPatterns = [
-        /@import\s+["']tailwindcss["']/,
-        /@import\s+url\(["']?tailwindcss["']?\)/,
-        /@tailwind\s+(base|components|utilities)/,
-        /@import\s+["']tailwindcss\/[^"']*["']/,
-        /@theme\s*\{/
+      allowedClasses = new Set(classes.filter(cls => !cls.includes('*')));
+      allowRegexes = [
+        ...patterns.map(compileAllowPattern).filter(Boolean),
+        ...classes.filter(cls => cls.includes('*')).map(globToRegExp),
       ];
-
-      const foundTailwind = tailwindImportPatterns.some(pattern => pattern.test(cssContent));
-
-      if (foundTailwind) {
-        hasTailwindImport = true;
-        if (debug) console.log('✅ Found Tailwind import');
-      }
     }
 
-    function queueCSSImports(cssContent, currentPath, projectRoot, cssQueue, visited) {
-      const importRegex = /@import\s+["']([^"']+)["'];?/g;
-      let match;
-
-      while ((match = importRegex.exec(cssContent)) !== null) {
-        const importPath = match[1];
-
-        // Skip Tailwind imports
-        if (importPath === 'tailwindcss' || importPath.startsWith('tailwindcss/')) continue;
-
-        // Handle relative imports
-        if (importPath.startsWith('./') || importPath.startsWith('../')) {
-          let fullPath = path.resolve(path.dirname(currentPath), importPath);
-
-          // Try different extensions if no extension provided
-          if (!path.extname(fullPath)) {
-            const possibleExtensions = ['.css', '.scss', '.sass', '.less'];
-            for (const ext of possibleExtensions) {
-              const pathWithExt = fullPath + ext;
-              if (fs.existsSync(pathWithExt)) {
-                fullPath = pathWithExt;
-                break;
-              }
-            }
-          }
-
-          if (fs.existsSync(fullPath) && !visited.has(fullPath)) {
-            cssQueue.push(fullPath);
-            if (debug) {
-              console.log(`📄 Queued import: ${path.relative(projectRoot, fullPath)}`);
-            }
-          } else if (!fs.existsSync(fullPath) && debug) {
-            console.warn(`Import not found: ${fullPath}`);
-          }
-        }
+    // A pattern that isn't a valid regex is reported and skipped rather than ending the lint run
+    function compileAllowPattern({ pattern, source }) {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        context.report({
+          loc: { line: 1, column: 0 },
+          messageId: 'invalidAllowPattern',
+          data: { pattern, source, detail: error.message },
+        });
+        return null;
       }
     }
 
     // =============================================================================
-    // CLASS EXTRACTION
+    // VALIDATION LOGIC
     // =============================================================================
 
-    function extractCustomClasses(cssContent, filePath, projectRoot) {
-      let classesFound = 0;
-      const fileName = path.basename(filePath);
-      const explicitClasses = new Set();
-
-      // Extract explicit utility classes
-      classesFound += extractExplicitClasses(cssContent, fileName, explicitClasses);
-
-      // Extract gradient utilities
-      classesFound += extractGradientUtilities(cssContent, fileName);
-
-      // Extract theme variables and generate utilities
-      classesFound += extractThemeVariables(cssContent, fileName, explicitClasses);
-
-      // Extract @utility definitions
-      classesFound += extractUtilityDefinitions(cssContent, fileName);
-
-      // Extract @layer definitions
-      classesFound += extractLayerDefinitions(cssContent, fileName);
-
-      if (debug && classesFound > 0) {
-        console.log(`📊 Extracted ${classesFound} classes/variables from ${fileName}`);
-      }
-    }
-
-    function extractExplicitClasses(cssContent, fileName, explicitClasses) {
-      // Enhanced regex to handle complex escaped characters and special cases
-      const utilityRegex = /\.([a-zA-Z@][\w-]*(?:\\[\w\/\.\:\[\]]+[\w-]*)*)\s*\{/g;
-      let match;
-      let count = 0;
-
-      while ((match = utilityRegex.exec(cssContent)) !== null) {
-        let className = match[1];
-        
-        // Convert escaped CSS class name to actual class name
-        // Handle various escape patterns
-        className = className
-          .replace(/\\:/g, ':')     // \: becomes :
-          .replace(/\\\//g, '/')    // \/ becomes /
-          .replace(/\\\./g, '.')    // \. becomes .
-          .replace(/\\\[/g, '[')    // \[ becomes [
-          .replace(/\\\]/g, ']')    // \] becomes ]
-          .replace(/\\\(/g, '(')    // \( becomes (
-          .replace(/\\\)/g, ')')    // \) becomes )
-          .replace(/\\\-/g, '-')    // \- becomes -
-          .replace(/\\\\/g, '\\');  // \\ becomes \
-        
-        explicitClasses.add(className);
-        customClasses.add(className);
-        count++;
-
-        if (debug && (className.includes('@container') || className.includes('group-even') || className.includes('decoration') || className.includes('from-') || className.includes('to-'))) {
-          console.log(`🎯 Found explicit class in ${fileName}: .${className}`);
-        }
-      }
-
-      return count;
-    }
-
-    function extractThemeVariables(cssContent, fileName, explicitClasses) {
-      const themeBlockRegex = /@theme\s*\{([\s\S]*?)\}/gs;
-      let themeMatch;
-      let count = 0;
-
-      while ((themeMatch = themeBlockRegex.exec(cssContent)) !== null) {
-        const themeContent = themeMatch[1];
-
-        if (debug) {
-          console.log(`🎨 Found @theme block in ${fileName}`);
-        }
-
-        // Updated regex to handle CSS variables with complex values
-        const variableRegex = /--([a-zA-Z][\w-]*)\s*:\s*([^;]+);/g;
-        let varMatch;
-
-        while ((varMatch = variableRegex.exec(themeContent)) !== null) {
-          const fullVarName = varMatch[1];
-          const variableValue = varMatch[2].trim();
-          
-          foundThemeVariables.add(fullVarName);
-
-          if (debug && fullVarName.startsWith('animate-')) {
-            console.log(`🎬 Found animation variable: --${fullVarName}: ${variableValue}`);
-          }
-
-          const generatedCount = generateUtilitiesFromVariable(fullVarName, fileName, explicitClasses);
-          count += generatedCount;
-        }
-      }
-
-      return count;
-    }
-
-    function extractUtilityDefinitions(cssContent, fileName) {
-      const utilityDefRegex = /@utility\s+([a-zA-Z][\w-]*)/g;
-      let match;
-      let count = 0;
-
-      while ((match = utilityDefRegex.exec(cssContent)) !== null) {
-        customClasses.add(match[1]);
-        count++;
-
-        if (debug) {
-          console.log(`🔧 Found @utility in ${fileName}: ${match[1]}`);
-        }
-      }
-
-      return count;
-    }
-
-    function extractLayerDefinitions(cssContent, fileName) {
-      // Updated regex to handle nested braces properly
-      const layerRegex = /@layer\s+(base|components|utilities)\s*\{((?:[^{}]*\{[^{}]*\}[^{}]*)*[^{}]*)\}/gs;
-      let layerMatch;
-      let count = 0;
-
-      while ((layerMatch = layerRegex.exec(cssContent)) !== null) {
-        const layerType = layerMatch[1];
-        const layerContent = layerMatch[2];
-
-        if (debug) {
-          console.log(`🏗️ Found @layer ${layerType} in ${fileName}`);
-          console.log(`📝 Layer content preview: ${layerContent.substring(0, 100)}...`);
-        }
-
-        // Enhanced regex to handle complex escaped characters
-        const layerUtilityRegex = /\.([a-zA-Z@][\w-]*(?:\\[\w\/\.\:\[\]]+[\w-]*)*)\s*\{/g;
-        let layerUtilityMatch;
-
-        while ((layerUtilityMatch = layerUtilityRegex.exec(layerContent)) !== null) {
-          let className = layerUtilityMatch[1];
-          
-          // Convert escaped CSS class name to actual class name
-          className = className
-            .replace(/\\:/g, ':')     // \: becomes :
-            .replace(/\\\//g, '/')    // \/ becomes /
-            .replace(/\\\./g, '.')    // \. becomes .
-            .replace(/\\\[/g, '[')    // \[ becomes [
-            .replace(/\\\]/g, ']')    // \] becomes ]
-            .replace(/\\\(/g, '(')    // \( becomes (
-            .replace(/\\\)/g, ')')    // \) becomes )
-            .replace(/\\\-/g, '-')    // \- becomes -
-            .replace(/\\\\/g, '\\');  // \\ becomes \
-          
-          customClasses.add(className);
-          count++;
-
-          if (debug) {
-            console.log(`🎯 Found @layer utility in ${fileName}: .${className}`);
-          }
-        }
+    function isValidClass(className) {
+      // Handle important modifier
+      let cleanClassName = className;
+      if (cleanClassName.startsWith('!')) {
+        cleanClassName = cleanClassName.substring(1);
       }
 
-      return count;
-    }
-
-    // Add new function to extract gradient utilities from CSS
-    function extractGradientUtilities(cssContent, fileName) {
-      // Match gradient utility classes like .from-blue-gradient-start, .to-red-500, etc.
-      const gradientRegex = /\.(from|via|to)-([a-zA-Z][\w-]*)\s*\{/g;
-      let match;
-      let count = 0;
-
-      while ((match = gradientRegex.exec(cssContent)) !== null) {
-        const gradientType = match[1]; // from, via, or to
-        const colorName = match[2];
-        const gradientUtility = `${gradientType}-${colorName}`;
-        
-        customClasses.add(gradientUtility);
-        count++;
-
-        if (debug) {
-          console.log(`🌈 Found gradient utility in ${fileName}: .${gradientUtility}`);
-        }
+      // Project allowlists win over everything else
+      if (isAllowlisted(cleanClassName)) {
+        return true;
       }
 
-      return count;
-    }
-
-    // =============================================================================
-    // UTILITY GENERATION
-    // =============================================================================
-
-    function generateUtilitiesFromVariable(varName, fileName, explicitClasses) {
-      const generators = [
-        () => generateColorUtilities(varName, fileName, explicitClasses),
-        () => generateAnimationUtilities(varName, fileName, explicitClasses),
-        () => generateShadowUtilities(varName, fileName, explicitClasses),
-        () => generateRadiusUtilities(varName, fileName, explicitClasses),
-        () => generateSpacingUtilities(varName, fileName, explicitClasses),
-        () => generateTextUtilities(varName, fileName, explicitClasses),
-        () => generateFontFamilyUtilities(varName, fileName, explicitClasses),
-        () => generateFontWeightUtilities(varName, fileName, explicitClasses),
-        () => generateFontSizeUtilities(varName, fileName, explicitClasses),
-      ];
-
-      return generators.reduce((total, generator) => total + generator(), 0);
-    }
-
-    function generateColorUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('color-')) return 0;
-
-      const colorName = varName.substring(6);
-      const colorUtilities = [
-        `text-${colorName}`, `bg-${colorName}`, `border-${colorName}`,
-        `decoration-${colorName}`, `outline-${colorName}`, `ring-${colorName}`,
-        `ring-offset-${colorName}`, `shadow-${colorName}`, `accent-${colorName}`,
-        `caret-${colorName}`, `fill-${colorName}`, `stroke-${colorName}`,
-        // Add gradient utilities
-        `from-${colorName}`, `via-${colorName}`, `to-${colorName}`,
-        // Add directional border utilities
-        `border-t-${colorName}`, `border-r-${colorName}`, `border-b-${colorName}`, `border-l-${colorName}`,
-        `border-x-${colorName}`, `border-y-${colorName}`,
-        // Add logical border utilities
-        `border-s-${colorName}`, `border-e-${colorName}`,
-        `border-is-${colorName}`, `border-ie-${colorName}`,
-        `border-bs-${colorName}`, `border-be-${colorName}`,
-        // Add divide utilities
-        `divide-${colorName}`,
-      ];
-
-      let count = 0;
-      colorUtilities.forEach(cls => {
-        if (!explicitClasses.has(cls)) {
-          customClasses.add(cls);
-          count++;
-        } else if (debug) {
-          console.log(`⚠️  Skipping auto-generated ${cls} - explicitly defined in ${fileName}`);
-        }
-      });
-
-      if (debug && count > 0) {
-        console.log(`🎨 Generated ${count} color utilities for: ${colorName} (from ${fileName})`);
+      // Check if it's in our custom classes (highest priority)
+      if (isCustomClass(cleanClassName)) {
+        return true;
       }
 
-      return count;
-    }
-
-    function generateAnimationUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('animate-')) return 0;
-
-      const animationName = varName.substring(8);
-      const animationUtility = `animate-${animationName}`;
-
-      if (!explicitClasses.has(animationUtility)) {
-        customClasses.add(animationUtility);
-        if (debug) {
-          console.log(`🎬 Generated animation utility: ${animationUtility} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${animationUtility} - explicitly defined in ${fileName}`);
+      // Every variant in the chain must be known before the base class counts
+      if (findInvalidVariant(className, registry)) {
+        return false;
       }
 
-      return 0;
-    }
-
-    function generateShadowUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('shadow-')) return 0;
+      const baseClass = (getBaseClass(className, registry) || className).replace(/^!/, '');
 
-      const shadowName = varName.substring(7);
-      const shadowUtility = `shadow-${shadowName}`;
-
-      if (!explicitClasses.has(shadowUtility)) {
-        customClasses.add(shadowUtility);
-        if (debug) {
-          console.log(`🌫️ Generated shadow utility: shadow-${shadowName} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${shadowUtility} - explicitly defined in ${fileName}`);
+      // Allow arbitrary values
+      if (isArbitraryValue(baseClass) && allowArbitraryValues) {
+        return true;
       }
 
-      return 0;
-    }
-
-    function generateRadiusUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('radius-')) return 0;
-
-      const radiusName = varName.substring(7);
-      const radiusUtility = `rounded-${radiusName}`;
-
-      if (!explicitClasses.has(radiusUtility)) {
-        customClasses.add(radiusUtility);
-        if (debug) {
-          console.log(`🔘 Generated radius utility: rounded-${radiusName} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${radiusUtility} - explicitly defined in ${fileName}`);
+      if (baseClass !== cleanClassName && isCustomClass(baseClass)) {
+        return true;
       }
 
-      return 0;
-    }
-
-    function generateSpacingUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('spacing-')) return 0;
-
-      const spacingName = varName.substring(8);
-      const spacingPrefixes = ['p', 'm', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'gap', 'space-x', 'space-y'];
-      let count = 0;
-
-      spacingPrefixes.forEach(prefix => {
-        const spacingUtility = `${prefix}-${spacingName}`;
-        if (!explicitClasses.has(spacingUtility)) {
-          customClasses.add(spacingUtility);
-          count++;
-        }
-      });
-
-      if (debug && count > 0) {
-        console.log(`📏 Generated spacing utilities: p-${spacingName}, m-${spacingName}, gap-${spacingName}, etc. (from ${fileName})`);
+      // Check Tailwind utilities
+      if (hasTailwindImport && isTailwindUtility(baseClass)) {
+        if (isRemovedThemeUtility(baseClass)) return false;
+        return !isOverridableUtility(baseClass) || !hasThemeOverride(baseClass);
       }
 
-      return count;
+      return false;
     }
 
-    function generateTextUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('text-')) return 0;
-
-      const textName = varName.substring(5);
-      const textUtility = `text-${textName}`;
+    function isAllowlisted(className) {
+      const baseClass = getBaseClass(className, registry);
+      const candidates = baseClass ? [className, baseClass.replace(/^!/, '')] : [className];
 
-      if (!explicitClasses.has(textUtility)) {
-        customClasses.add(textUtility);
-        if (debug) {
-          console.log(`📝 Generated text utility: ${textUtility} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${textUtility} - explicitly defined in ${fileName}`);
-      }
-
-      return 0;
+      return candidates.some(candidate => allowedClasses.has(candidate) ||
+        allowRegexes.some(regex => regex.test(candidate)));
     }
 
-    function generateFontFamilyUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('font-family-')) return 0;
-
-      const familyName = varName.substring(12);
-      const fontUtility = `font-${familyName}`;
+    function isCustomClass(className) {
+      if (validClasses.has(className)) return true;
 
-      if (!explicitClasses.has(fontUtility)) {
-        customClasses.add(fontUtility);
-        if (debug) {
-          console.log(`🔤 Generated font family utility: ${fontUtility} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${fontUtility} - explicitly defined in ${fileName}`);
+      for (const prefix of functionalUtilities) {
+        if (className.startsWith(prefix) && className.length > prefix.length) return true;
       }
 
-      return 0;
+      return false;
     }
 
-    function generateFontWeightUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('font-weight-')) return 0;
-
-      const weightName = varName.substring(12);
-      const weightUtility = `font-${weightName}`;
-
-      if (!explicitClasses.has(weightUtility)) {
-        customClasses.add(weightUtility);
-        if (debug) {
-          console.log(`⚖️ Generated font weight utility: font-${weightName} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${weightUtility} - explicitly defined in ${fileName}`);
-      }
-
-      return 0;
+    // Plain classes from the project's CSS, as opposed to its `@utility` definitions
+    function isProjectClass(className) {
+      return registry.customClassLayers.has(className) && registry.customClassLayers.get(className) !== 'utilities';
     }
 
-    function generateFontSizeUtilities(varName, fileName, explicitClasses) {
-      if (!varName.startsWith('font-size-')) return 0;
+    // Default utilities whose theme variable was removed by a namespace or single-variable reset
+    function isRemovedThemeUtility(className) {
+      const utility = className.replace(/^-/, '');
 
-      const sizeName = varName.substring(10);
-      const sizeUtility = `text-${sizeName}`;
+      for (const { namespace, pattern, variable } of DEFAULT_THEME_UTILITIES) {
+        const match = pattern.exec(className) || pattern.exec(utility);
+        if (!match) continue;
 
-      if (!explicitClasses.has(sizeUtility)) {
-        customClasses.add(sizeUtility);
-        if (debug) {
-          console.log(`📏 Generated font size utility: ${sizeUtility} (from ${fileName})`);
-        }
-        return 1;
-      } else if (debug) {
-        console.log(`⚠️  Skipping auto-generated ${sizeUtility} - explicitly defined in ${fileName}`);
+        const varName = variable(match);
+        if (foundThemeVariables.has(varName)) return false;
+        if (removedThemeVariables.has(varName)) return true;
+        return isNamespaceReset(namespace);
       }
 
-      return 0;
+      return false;
     }
 
-    // =============================================================================
-    // VALIDATION LOGIC
-    // =============================================================================
-
-    function isValidClass(className) {
-      // Handle important modifier
-      let cleanClassName = className;
-      if (cleanClassName.startsWith('!')) {
-        cleanClassName = cleanClassName.substring(1);
-      }
-
-      // Allow arbitrary values
-      if (isArbitraryValue(cleanClassName) && allowArbitraryValues) {
-        return true;
-      }
-
-      // Check if it's in our custom classes (highest priority)
-      if (validClasses.has(cleanClassName)) {
-        return true;
-      }
+    function isNamespaceReset(namespace) {
+      if (resetNamespaces.has('*')) return true;
 
-      // Check base class for prefixed utilities
-      const baseClass = getBaseClass(className);
-      if (baseClass) {
-        let cleanBaseClass = baseClass;
-        if (cleanBaseClass.startsWith('!')) {
-          cleanBaseClass = cleanBaseClass.substring(1);
-        }
-        
-        if (validClasses.has(cleanBaseClass)) {
-          return true;
-        }
-        if (hasTailwindImport && isTailwindUtility(cleanBaseClass)) {
-          return !isOverridableUtility(cleanBaseClass) || !hasThemeOverride(cleanBaseClass);
-        }
-      }
-
-      // Check Tailwind utilities
-      if (hasTailwindImport && isTailwindUtility(className)) {
-        return !isOverridableUtility(cleanClassName) || !hasThemeOverride(cleanClassName);
+      for (const reset of resetNamespaces) {
+        if (namespace === reset || namespace.startsWith(`${reset}-`)) return true;
       }
 
       return false;
@@ -621,12 +561,12 @@ module.exports = {
         /^text-(xs|sm|base|lg|xl|2xl|3xl|4xl|5xl|6xl|7xl|8xl|9xl)$/,
         /^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black)$/,
         /^font-(sans|serif|mono)$/,
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/,
         /^(p|m|px|py|pt|pr|pb|pl|mx|my|mt|mr|mb|ml)-(\d+\.?\d*|px)$/,
         /^gap(-x|-y)?-(\d+\.?\d*|px)$/,
         /^space-(x|y)-(\d+\.?\d*|px)$/,
-        /^rounded(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
-        /^shadow(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-inner)?$/,
+        /^rounded(-none|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
+        /^shadow(-none|-2xs|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-inner)?$/,
         /^animate-(none|spin|ping|pulse|bounce)$/,
       ];
 
@@ -647,7 +587,7 @@ module.exports = {
       }
 
       // Colors
-      const colorMatch = className.match(/^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/);
+      const colorMatch = className.match(/^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/);
       if (colorMatch) {
         const [, , colorName, shade] = colorMatch;
         return foundThemeVariables.has(`color-${colorName}-${shade}`);
@@ -661,14 +601,14 @@ module.exports = {
       }
 
       // Border radius
-      const radiusMatch = className.match(/^rounded(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/);
+      const radiusMatch = className.match(/^rounded(-none|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/);
       if (radiusMatch) {
         const radius = radiusMatch[1] ? radiusMatch[1].replace('-', '') : 'DEFAULT';
         return foundThemeVariables.has(`radius-${radius}`);
       }
 
       // Shadows
-      const shadowMatch = className.match(/^shadow(-none|-sm|-md|-lg|-2xl|-3xl|-inner)?$/);
+      const shadowMatch = className.match(/^shadow(-none|-2xs|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-inner)?$/);
       if (shadowMatch) {
         const shadow = shadowMatch[1] ? shadowMatch[1].replace('-', '') : 'DEFAULT';
         return foundThemeVariables.has(`shadow-${shadow}`);
@@ -691,7 +631,6 @@ module.exports = {
       const tailwindPatterns = [
         // Container Queries - ENHANCED
         /^@container$/,  // Added standalone @container
-        /^@(xs|sm|md|lg|xl|2xl|3xl|4xl|5xl|6xl|7xl)\/(.+)$/,
         /^@container-(.+)\/(.+)$/,
 
         // Layout
@@ -716,7 +655,7 @@ module.exports = {
         // Logical Properties
         /^(m|p)(s|e|is|ie|bs|be)-(\d+\.?\d*|px|auto)$/,
         /^border-(s|e|is|ie|bs|be)(-\d+)?$/,
-        /^rounded-(s|e|ss|se|ee|es)(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
+        /^rounded-(s|e|ss|se|ee|es)(-none|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
 
         // Spacing
         /^(p|m|px|py|pt|pr|pb|pl|mx|my|mt|mr|mb|ml)-(\d+\.?\d*|px|auto)$/,
@@ -740,6 +679,7 @@ module.exports = {
         /^(italic|not-italic)$/,
         /^(underline|overline|line-through|no-underline)$/,
         /^decoration-(slice|clone|auto|from-font|\d+|double|dotted|dashed|wavy|solid)$/, // Added 'solid'
+        /^box-decoration-(slice|clone)$/,
         /^underline-offset-(auto|\d+)$/,
         /^leading-(none|tight|snug|normal|relaxed|loose|\d+\.?\d*)$/,
         /^tracking-(tighter|tight|normal|wide|wider|widest)$/,
@@ -755,17 +695,17 @@ module.exports = {
         /^line-clamp-(\d+|none)$/, // Added line-clamp support
 
         // Colors - ENHANCED with directional borders and opacity support
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(inherit|current|transparent|black|white)$/,
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(inherit|current|transparent|black|white)$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/,
         // Directional border colors
         /^border-(t|r|b|l|x|y|s|e|is|ie|bs|be)-(inherit|current|transparent|black|white)$/,
         /^border-(t|r|b|l|x|y|s|e|is|ie|bs|be)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-(50|100|200|300|400|500|600|700|800|900|950)$/,
         /^border-(t|r|b|l|x|y|s|e|is|ie|bs|be)-[\w-]+$/, // Custom directional border colors
         /^divide-[\w-]+$/, // Custom divide colors
         // Standard color patterns with opacity
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(\w+)(-\d+)?\/\d+$/,
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(current|transparent|inherit|black|white)\/\d+$/,
-        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|accent|caret|fill|stroke)-(\w+)-(\d+)\/(\d+)$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(\w+)(-\d+)?\/\d+$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(current|transparent|inherit|black|white)\/\d+$/,
+        /^(text|bg|border|decoration|outline|ring|ring-offset|shadow|inset-shadow|inset-ring|text-shadow|accent|caret|fill|stroke)-(\w+)-(\d+)\/(\d+)$/,
 
         // Backgrounds & Gradients - ENHANCED
         /^bg-(fixed|local|scroll)$/,
@@ -801,12 +741,15 @@ module.exports = {
         /^ring-offset-\d+$/,
 
         // Border radius
-        /^rounded(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
-        /^rounded-(s|e|t|r|b|l|ss|se|ee|es|tl|tr|br|bl)(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
+        /^rounded(-none|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
+        /^rounded-(s|e|t|r|b|l|ss|se|ee|es|tl|tr|br|bl)(-none|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-full)?$/,
 
         // Effects
-        /^shadow(-none|-sm|-md|-lg|-xl|-2xl|-3xl|-inner)?$/,
+        /^shadow(-none|-2xs|-xs|-sm|-md|-lg|-xl|-2xl|-3xl|-inner)?$/,
         /^shadow-\w+-(\d+)(\/\d+)?$/,
+        /^inset-shadow-(none|2xs|xs|sm)$/,
+        /^inset-ring(-\d+)?$/,
+        /^text-shadow-(none|2xs|xs|sm|md|lg)$/,
         /^opacity-(\d+)$/,
         /^mix-blend-(normal|multiply|screen|overlay|darken|lighten|color-dodge|color-burn|hard-light|soft-light|difference|exclusion|hue|saturation|color|luminosity|plus-darker|plus-lighter)$/,
         /^bg-blend-(normal|multiply|screen|overlay|darken|lighten|color-dodge|color-burn|hard-light|soft-light|difference|exclusion|hue|saturation|color|luminosity)$/,
@@ -889,154 +832,261 @@ module.exports = {
         /^list-(inside|outside)$/,
         /^marker-\w+-(\d+)$/,
 
-        // State prefixes - ENHANCED with pseudo-elements
-        /^(hover|focus|focus-within|focus-visible|active|visited|target|first|last|only|odd|even|first-of-type|last-of-type|only-of-type|empty|disabled|enabled|checked|indeterminate|default|required|valid|invalid|in-range|out-of-range|placeholder-shown|autofill|read-only):/,
-        /^(first-letter|first-line|selection|marker|placeholder|file):/, // Added pseudo-elements
-        /^(group-hover|group-focus|group-active|group-focus-within|group-focus-visible|group-visited|group-target|group-first|group-last|group-only|group-odd|group-even|group-first-of-type|group-last-of-type|group-only-of-type|group-empty|group-disabled|group-enabled|group-checked|group-indeterminate|group-default|group-required|group-valid|group-invalid|group-in-range|group-out-of-range|group-placeholder-shown|group-autofill|group-read-only):/,
-        /^group-has-\[.*?\]:/,
-        /^(group-has-hover|group-has-focus|group-has-active|group-has-disabled|group-has-checked|group-has-selected|group-has-valid|group-has-invalid|group-has-required|group-has-optional):/,
-        /^group-[\w-]+\/[\w-]+:[\w-]+$/, // Enhanced group patterns like group-even/product-shadow:p-1.25
-        /^(peer-hover|peer-focus|peer-active|peer-focus-within|peer-focus-visible|peer-visited|peer-target|peer-first|peer-last|peer-only|peer-odd|peer-even|peer-first-of-type|peer-last-of-type|peer-only-of-type|peer-empty|peer-disabled|peer-enabled|peer-checked|peer-indeterminate|peer-default|peer-required|peer-valid|peer-invalid|peer-in-range|peer-out-of-range|peer-placeholder-shown|peer-autofill|peer-read-only):/,
-        /^peer-has-\[.*?\]:/,
-        /^(peer-has-hover|peer-has-focus|peer-has-active|peer-has-disabled|peer-has-checked|peer-has-selected|peer-has-valid|peer-has-invalid|peer-has-required|peer-has-optional):/,
-
-        // Media queries
-        /^(sm|md|lg|xl|2xl):/,
-        /^(dark|light):/,
-        /^(motion-safe|motion-reduce|contrast-more|contrast-less):/,
-        /^(portrait|landscape):/,
-        /^print:/,
-        /^supports-\[.*?\]:/,
-
-        // Attributes
-        /^(data-\[.*?\]|aria-\[.*?\]):/,
-
-        // Complex selectors
-        /^\[&.*?\]:/,
+        // Arbitrary properties
         /^\[.*?\]$/,
       ];
 
-      const isMatch = tailwindPatterns.some(pattern => pattern.test(cleanClassName));
+      return tailwindPatterns.some(pattern => pattern.test(cleanClassName));
+    }
 
-      if (debug && (cleanClassName.includes('outline-hidden') || cleanClassName.includes('min-w-2/3'))) {
-        console.log(`🔍 isTailwindUtility(${className} -> ${cleanClassName}): ${isMatch}`);
-        console.log(`  - Testing outline-hidden and min-w fraction patterns`);
-      }
+    function isArbitraryValue(className) {
+      return /\[.+\]/.test(className);
+    }
+
+    // An unclosed `w-[10px` or `[&:hover:flex` is always reported as such; the
+    // value itself is only type-checked with `validateArbitraryValues`
+    function getArbitraryValueProblem(className) {
+      if (isAllowlisted(className.replace(/^!/, ''))) return null;
+
+      const base = splitVariantChain(className).pop().replace(/^!/, '');
+      if (base.startsWith('[') && !isBalanced(base)) return { problem: 'unbalanced' };
+
+      const parsed = parseArbitraryValue(base);
+      if (parsed && !parsed.balanced) return { problem: 'unbalanced' };
 
-      return isMatch;
+      if (!validateArbitraryValues || !allowArbitraryValues || !isArbitraryValue(base)) return null;
+
+      return checkArbitraryValue(base, isKnownVariable);
     }
 
-    function isArbitraryValue(className) {
-      return /\[.+\]/.test(className) &&
-        !/^\[&.*?\]:/.test(className) &&
-        !/^data-\[.*?\]:/.test(className) &&
-        !/^aria-\[.*?\]:/.test(className) &&
-        !/^supports-\[.*?\]:/.test(className);
+    // `var(--x)` may read theme variables, custom properties from the CSS graph
+    // and, with Tailwind imported, the default theme unless the theme removed it
+    function isKnownVariable(name) {
+      if (foundThemeVariables.has(name) || registry.customProperties.has(name)) return true;
+      if (!hasTailwindImport || removedThemeVariables.has(name)) return false;
+      if (/^(tw|default)-/.test(name)) return true;
+
+      return DEFAULT_THEME_VARIABLES.some(({ namespace, pattern }) => {
+        const match = pattern.exec(name);
+        return match && !isNamespaceReset(namespace || match[1]);
+      });
     }
 
-    function getBaseClass(className) {
-      // Handle important modifier (!) at the beginning
-      let baseClass = className;
-      if (baseClass.startsWith('!')) {
-        baseClass = baseClass.substring(1);
-      }
+    // =============================================================================
+    // SUGGESTIONS
+    // =============================================================================
 
-      const prefixes = [
-        'sm:', 'md:', 'lg:', 'xl:', '2xl:',
-        'hover:', 'focus:', 'focus-within:', 'focus-visible:', 'active:', 'visited:', 'target:',
-        'first:', 'last:', 'only:', 'odd:', 'even:', 'first-of-type:', 'last-of-type:',
-        'only-of-type:', 'empty:', 'disabled:', 'enabled:', 'checked:', 'indeterminate:',
-        'default:', 'required:', 'valid:', 'invalid:', 'in-range:', 'out-of-range:',
-        'placeholder-shown:', 'autofill:', 'read-only:',
-        'first-letter:', 'first-line:', 'selection:', 'marker:', 'placeholder:', 'file:', // Added pseudo-elements
-        'group-hover:', 'group-focus:', 'group-active:', 'group-focus-within:', 'group-focus-visible:',
-        'group-visited:', 'group-target:', 'group-first:', 'group-last:', 'group-only:',
-        'group-odd:', 'group-even:', 'group-first-of-type:', 'group-last-of-type:',
-        'group-only-of-type:', 'group-empty:', 'group-disabled:', 'group-enabled:',
-        'group-checked:', 'group-indeterminate:', 'group-default:', 'group-required:',
-        'group-valid:', 'group-invalid:', 'group-in-range:', 'group-out-of-range:',
-        'group-placeholder-shown:', 'group-autofill:', 'group-read-only:',
-        'group-has-\\[.*?\\]:', 'group-has-hover:', 'group-has-focus:', 'group-has-active:',
-        'group-has-disabled:', 'group-has-checked:', 'group-has-selected:', 'group-has-valid:',
-        'group-has-invalid:', 'group-has-required:', 'group-has-optional:',
-        'group-[\\w-]+\\/[\\w-]+:', // Enhanced group patterns
-        'peer-hover:', 'peer-focus:', 'peer-active:', 'peer-focus-within:', 'peer-focus-visible:',
-        'peer-visited:', 'peer-target:', 'peer-first:', 'peer-last:', 'peer-only:',
-        'peer-odd:', 'peer-even:', 'peer-first-of-type:', 'peer-last-of-type:',
-        'peer-only-of-type:', 'peer-empty:', 'peer-disabled:', 'peer-enabled:',
-        'peer-checked:', 'peer-indeterminate:', 'peer-default:', 'peer-required:',
-        'peer-valid:', 'peer-invalid:', 'peer-in-range:', 'peer-out-of-range:',
-        'peer-placeholder-shown:', 'peer-autofill:', 'peer-read-only:',
-        'peer-has-\\[.*?\\]:', 'peer-has-hover:', 'peer-has-focus:', 'peer-has-active:',
-        'peer-has-disabled:', 'peer-has-checked:', 'peer-has-selected:', 'peer-has-valid:',
-        'peer-has-invalid:', 'peer-has-required:', 'peer-has-optional:',
-        'dark:', 'light:',
-        'motion-safe:', 'motion-reduce:', 'contrast-more:', 'contrast-less:',
-        'portrait:', 'landscape:',
-        'print:',
-        'supports-\\[.*?\\]:',
-        'data-\\[.*?\\]:', 'aria-\\[.*?\\]:',
-        '\\[&.*?\\]:',
-      ];
+    function findSuggestions(className) {
+      const { prefix, base } = splitVariantPrefix(className, registry);
+      if (base.length < 2) return [];
 
-      // Strip prefixes iteratively to handle chained prefixes
-      while (true) {
-        let stripped = false;
-
-        for (const prefix of prefixes) {
-          const regex = new RegExp(`^${prefix}`);
-          if (regex.test(baseClass)) {
-            const newBaseClass = baseClass.replace(regex, '');
-            if (newBaseClass !== baseClass) {
-              baseClass = newBaseClass;
-              stripped = true;
-              break;
-            }
-          }
+      const maxDistance = Math.min(3, Math.max(1, Math.floor(base.length / 4)));
+      const candidates = new Map();
+
+      const consider = candidate => {
+        if (candidate === base || candidates.has(candidate)) return;
+        const distance = editDistance(base, candidate, maxDistance);
+        if (distance <= maxDistance) {
+          candidates.set(candidate, distance);
         }
+      };
 
-        if (!stripped) break;
+      validClasses.forEach(consider);
+      allowedClasses.forEach(consider);
+      if (hasTailwindImport) {
+        getTailwindVocabulary().forEach(consider);
       }
 
-      return baseClass !== className ? baseClass : null;
+      return Array.from(candidates, ([candidate, distance]) => ({ className: `${prefix}${candidate}`, distance }))
+        .sort((a, b) => a.distance - b.distance || a.className.localeCompare(b.className))
+        .filter(suggestion => isValidClass(suggestion.className))
+        .slice(0, MAX_SUGGESTIONS);
+    }
+
+    function findVariantSuggestion(variant) {
+      const maxDistance = Math.min(2, Math.max(1, Math.floor(variant.length / 4)));
+      let best = null;
+
+      getVariantVocabulary(registry).forEach(candidate => {
+        const distance = editDistance(variant, candidate, maxDistance);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { candidate, distance };
+        }
+      });
+
+      return best && best.candidate;
+    }
+
+    // A fix is only safe when a single candidate is strictly closer than the rest
+    function isUnambiguous(suggestions) {
+      return suggestions.length === 1 || suggestions[0].distance < suggestions[1].distance;
     }
 
     // =============================================================================
-    // UTILITY FUNCTIONS
+    // REPORTING
     // =============================================================================
 
-    function extractClassNames(node) {
-      if (node.type === 'Literal' && typeof node.value === 'string') {
-        return node.value.split(/\s+/).filter(cls => cls.length > 0);
+    /**
+     * Problems with the CSS setup itself, reported once at the top of each
+     * linted file instead of as hundreds of per-class errors. Every file gets
+     * them, so an editor or a `--cache` run that only lints some files still
+     * shows them.
+     */
+    function reportConfigurationProblems(projectRoot) {
+      registry.diagnostics.forEach(({ type, file, ...details }) => {
+        context.report({
+          loc: { line: 1, column: 0 },
+          messageId: type,
+          data: { ...details, file: path.relative(projectRoot, file) },
+        });
+      });
+    }
+
+    function validateClasses(classEntries) {
+      if (!cssLoaded) {
+        loadAllCSSClasses();
       }
 
-      if (node.type === 'TemplateLiteral') {
-        let classString = '';
-        for (let i = 0; i < node.quasis.length; i++) {
-          classString += node.quasis[i].value.cooked || '';
-          if (i < node.expressions.length) {
-            classString += ' ';
+      // Without the CSS every class would be reported; the missing file already was
+      if (registry.entryMissing) return;
+
+      classEntries.forEach(({ className, node, range }) => {
+        // `flex!` is v4's spelling of `!flex`
+        const candidate = normalizeImportant(className);
+
+        if (registry.prefix && !candidate.replace(/^!/, '').startsWith(`${registry.prefix}:`)) {
+          validateUnprefixedClass(node, className, range, candidate);
+          return;
+        }
+
+        if (registry.prefix && isProjectClass((getBaseClass(candidate, registry) || candidate).replace(/^!/, ''))) {
+          reportPrefixedProjectClass(node, className, range);
+          return;
+        }
+
+        const arbitraryValueProblem = getArbitraryValueProblem(candidate);
+
+        if (arbitraryValueProblem) {
+          reportArbitraryValue(node, className, range, arbitraryValueProblem);
+        } else if (!isValidClass(candidate)) {
+          const invalidVariant = findInvalidVariant(candidate, registry);
+          if (invalidVariant) {
+            reportInvalidVariant(node, className, range, invalidVariant);
+          } else {
+            reportUndefinedClass(node, className, range);
           }
         }
-        return classString.split(/\s+/).filter(cls => cls.length > 0);
+      });
+    }
+
+    /**
+     * With `@import "tailwindcss" prefix(tw)` every Tailwind utility is written
+     * `tw:flex`. Plain classes from the project's CSS and allowlisted classes
+     * keep their own names; an unprefixed utility is reported with a fix.
+     */
+    function validateUnprefixedClass(node, className, range, candidate) {
+      const cleanClassName = candidate.replace(/^!/, '');
+
+      if (isProjectClass(cleanClassName) || isAllowlisted(cleanClassName)) return;
+
+      if (!isValidClass(candidate)) {
+        reportUndefinedClass(node, className, range);
+        return;
       }
 
-      return [];
+      context.report({
+        node,
+        loc: range
+          ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+          : undefined,
+        messageId: 'missingPrefix',
+        data: { className, prefix: registry.prefix },
+        fix: range ? fixer => fixer.replaceTextRange(range, `${registry.prefix}:${className}`) : null,
+      });
     }
 
-    function validateClasses(node, classNames) {
-      if (!cssLoaded) {
-        loadAllCSSClasses();
+    // Tailwind never prefixes plain CSS classes, so `tw:card` matches nothing
+    function reportPrefixedProjectClass(node, className, range) {
+      const replacement = className.replace(`${registry.prefix}:`, '');
+
+      context.report({
+        node,
+        loc: range
+          ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+          : undefined,
+        messageId: 'unexpectedPrefix',
+        data: { className, replacement },
+        fix: range ? fixer => fixer.replaceTextRange(range, replacement) : null,
+      });
+    }
+
+    function reportArbitraryValue(node, className, range, { problem, value, expected, variable }) {
+      const messageIds = {
+        unbalanced: 'unbalancedArbitraryValue',
+        variable: 'undefinedVariable',
+        type: 'invalidArbitraryValue',
+      };
+
+      context.report({
+        node,
+        loc: range
+          ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+          : undefined,
+        messageId: messageIds[problem],
+        data: { className, value, expected, variable },
+      });
+    }
+
+    // Reported on the variant itself; `normalizeImportant` only moves the `!`
+    // after the variants, so offsets in the candidate hold for the class
+    function reportInvalidVariant(node, className, range, { variant, start }) {
+      const suggestion = findVariantSuggestion(variant);
+      const variantRange = range && [range[0] + start, range[0] + start + variant.length];
+
+      context.report({
+        node,
+        loc: variantRange
+          ? { start: sourceCode.getLocFromIndex(variantRange[0]), end: sourceCode.getLocFromIndex(variantRange[1]) }
+          : undefined,
+        messageId: suggestion ? 'invalidVariantWithSuggestion' : 'invalidVariant',
+        data: { className, variant, suggestion },
+        suggest: variantRange && suggestion ? [{
+          messageId: 'replaceVariant',
+          data: { variant, suggestion },
+          fix: fixer => fixer.replaceTextRange(variantRange, suggestion),
+        }] : [],
+      });
+    }
+
+    function reportUndefinedClass(node, className, range) {
+      const suggestions = findSuggestions(className);
+      const loc = range
+        ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+        : undefined;
+
+      if (suggestions.length === 0) {
+        context.report({
+          node,
+          loc,
+          messageId: 'undefinedClass',
+          data: { className },
+        });
+        return;
       }
 
-      classNames.forEach(className => {
-        if (!isValidClass(className)) {
-          context.report({
-            node,
-            messageId: 'undefinedClass',
-            data: { className },
-          });
-        }
+      const replaceWith = suggestion => fixer => fixer.replaceTextRange(range, suggestion);
+
+      context.report({
+        node,
+        loc,
+        messageId: 'undefinedClassWithSuggestion',
+        data: { className, suggestion: suggestions[0].className },
+        fix: fixTypos && range && isUnambiguous(suggestions) ? replaceWith(suggestions[0].className) : null,
+        suggest: range ? suggestions.map(({ className: suggestion }) => ({
+          messageId: 'replaceClass',
+          data: { className, suggestion },
+          fix: replaceWith(suggestion),
+        })) : [],
       });
     }
 
@@ -1044,27 +1094,6 @@ module.exports = {
     // ESLint VISITORS
     // =============================================================================
 
-    return {
-      JSXAttribute(node) {
-        if (node.name.name === 'className' && node.value) {
-          const classNames = extractClassNames(node.value);
-          validateClasses(node.value, classNames);
-        }
-      },
-
-      CallExpression(node) {
-        const fnNames = ['cn', 'clsx', 'cva', 'tw'];
-        const isCnCall = fnNames.includes(node.callee.name) ||
-          (node.callee.type === 'MemberExpression' &&
-            fnNames.includes(node.callee.property?.name));
-
-        if (isCnCall) {
-          node.arguments.forEach(arg => {
-            const classNames = extractClassNames(arg);
-            validateClasses(arg, classNames);
-          });
-        }
-      },
-    };
+    return createClassSourceVisitors(context, validateClasses);
   },
-};
\ No newline at end of file
+};
@@ -0,0 +1,206 @@
+const { getRegistryForContext, registrySchema } = require('../lib/css-registry');
+const { splitVariantChain } = require('../lib/variants');
+const { classSourceSchema, createClassSourceVisitors } = require('../lib/class-sources');
+const { parseArbitraryValue } = require('../lib/arbitrary-values');
+const { parseColor, isSameColor, toPixels } = require('../lib/css-values');
+
+// =============================================================================
+// TOKEN UTILITIES
+// =============================================================================
+
+const COLOR_UTILITIES = /^(bg|text|border(-[xytrblse])?|divide|outline|ring|ring-offset|inset-ring|decoration|accent|caret|fill|stroke|from|via|to|placeholder|shadow|inset-shadow|drop-shadow)$/;
+const SPACING_UTILITIES = /^(p[xytrblse]?|m[xytrblse]?|gap(-[xy])?|space-[xy]|inset(-[xy])?|top|right|bottom|left|start|end|w|h|size|min-w|min-h|max-w|max-h|basis|indent|translate(-[xy])?|scroll-[pm][xytrblse]?)$/;
+
+// Tailwind's default `--spacing`, used when the theme doesn't set its own
+const DEFAULT_SPACING = '0.25rem';
+
+/**
+ * Theme namespaces and the utilities that read them: `--radius-lg` backs
+ * `rounded-lg`, `rounded-t-lg`, ... `type` decides how values are compared.
+ */
+const THEME_NAMESPACES = [
+  { namespace: 'color', utilities: COLOR_UTILITIES, type: 'color' },
+  { namespace: 'spacing', utilities: SPACING_UTILITIES, type: 'length' },
+  { namespace: 'radius', utilities: /^rounded(-(tl|tr|br|bl|ss|se|es|ee|[trblse]))?$/, type: 'length' },
+  { namespace: 'text', utilities: /^text$/, type: 'length' },
+  { namespace: 'font-weight', utilities: /^font$/, type: 'number' },
+  { namespace: 'tracking', utilities: /^tracking$/, type: 'length' },
+  { namespace: 'leading', utilities: /^leading$/, type: 'length' },
+  { namespace: 'container', utilities: /^(w|min-w|max-w)$/, type: 'length' },
+  { namespace: 'blur', utilities: /^(backdrop-)?blur$/, type: 'length' },
+  { namespace: 'shadow', utilities: /^shadow$/, type: 'text' },
+  { namespace: 'perspective', utilities: /^perspective$/, type: 'length' },
+  { namespace: 'aspect', utilities: /^aspect$/, type: 'text' },
+  { namespace: 'ease', utilities: /^ease$/, type: 'text' },
+  { namespace: 'animate', utilities: /^animate$/, type: 'text' },
+];
+
+function normalizeText(value) {
+  return value.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s*([,/()])\s*/g, '$1');
+}
+
+function isSameValue(a, b, type) {
+  if (type === 'color') {
+    const colorA = parseColor(a);
+    const colorB = parseColor(b);
+    if (colorA && colorB) return isSameColor(colorA, colorB);
+  }
+
+  if (type === 'length') {
+    const pixelsA = toPixels(a);
+    const pixelsB = toPixels(b);
+    if (pixelsA !== null && pixelsB !== null) return pixelsA === pixelsB;
+  }
+
+  if (type === 'number' && !Number.isNaN(Number(a)) && !Number.isNaN(Number(b))) {
+    return Number(a) === Number(b);
+  }
+
+  return normalizeText(a) === normalizeText(b);
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Prefer theme utilities over arbitrary values that equal a theme variable',
+      category: 'Best Practices',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...classSourceSchema,
+          ...registrySchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    fixable: 'code',
+    hasSuggestions: true,
+    messages: {
+      preferThemeToken: "'{{className}}' matches the theme value '--{{variable}}'. Use '{{replacement}}' instead",
+      replaceClass: "Replace '{{className}}' with '{{replacement}}'",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    let registry = null;
+
+    function getRegistry() {
+      if (!registry) {
+        registry = getRegistryForContext(context);
+      }
+      return registry;
+    }
+
+    // `md:hover:!bg-[#fff]/50` -> prefix `md:hover:!`, base `bg-[#fff]/50`, important ``
+    function splitClass(className) {
+      const important = className.endsWith('!') ? '!' : '';
+      const body = important ? className.slice(0, -1) : className;
+      const base = splitVariantChain(body).pop();
+      const leading = base.startsWith('!') ? '!' : '';
+
+      return {
+        prefix: body.slice(0, body.length - base.length) + leading,
+        base: base.slice(leading.length),
+        important,
+      };
+    }
+
+    function getSpacingUnit() {
+      const { themeValues, resetNamespaces, hasTailwindImport } = getRegistry();
+      if (themeValues.has('spacing')) return themeValues.get('spacing');
+      if (!hasTailwindImport || resetNamespaces.has('*') || resetNamespaces.has('spacing')) return null;
+      return DEFAULT_SPACING;
+    }
+
+    /**
+     * Theme utilities equivalent to an arbitrary value, as `{ utility, variable, negative }`.
+     * Spacing utilities also match multiples of `--spacing` (`p-[16px]` -> `p-4`).
+     */
+    function findThemeTokens({ name, hint, value }) {
+      const { themeValues } = getRegistry();
+      const tokens = [];
+
+      THEME_NAMESPACES.forEach(({ namespace, utilities, type }) => {
+        if (!utilities.test(name)) return;
+        if (hint && (hint === 'color') !== (type === 'color')) return;
+
+        themeValues.forEach((themeValue, variable) => {
+          const key = variable.slice(namespace.length + 1);
+          if (!variable.startsWith(`${namespace}-`) || !key || key.includes('--')) return;
+
+          if (isSameValue(value, themeValue, type)) {
+            tokens.push({ utility: `${name}-${key}`, variable, negative: false });
+          }
+        });
+      });
+
+      const spacingUnit = SPACING_UTILITIES.test(name) && !hint ? getSpacingUnit() : null;
+      const pixels = toPixels(value);
+      const unitPixels = spacingUnit ? toPixels(spacingUnit) : null;
+
+      if (pixels !== null && unitPixels) {
+        const steps = Math.abs(pixels) / unitPixels;
+        const negative = pixels < 0;
+
+        if (Math.abs(pixels) === 1 && /px$/.test(value)) {
+          tokens.push({ utility: `${name}-px`, variable: 'spacing', negative });
+        } else if (Number.isInteger(steps * 4)) {
+          tokens.push({ utility: `${name}-${steps}`, variable: 'spacing', negative });
+        }
+      }
+
+      return tokens;
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    function checkThemeTokens(classEntries) {
+      classEntries.forEach(entry => {
+        const { prefix, base, important } = splitClass(entry.className);
+        const parsed = parseArbitraryValue(base);
+        if (!parsed || !parsed.balanced) return;
+
+        const replacements = findThemeTokens(parsed).map(token => ({
+          variable: token.variable,
+          className: `${prefix}${parsed.negative !== token.negative ? '-' : ''}${token.utility}${parsed.modifier}${important}`,
+        }));
+
+        if (replacements.length > 0) {
+          reportThemeToken(entry, replacements);
+        }
+      });
+    }
+
+    function reportThemeToken({ node, className, range }, replacements) {
+      const replaceWith = replacement => fixer => fixer.replaceTextRange(range, replacement);
+      const [first] = replacements;
+
+      context.report({
+        node,
+        loc: range
+          ? { start: sourceCode.getLocFromIndex(range[0]), end: sourceCode.getLocFromIndex(range[1]) }
+          : undefined,
+        messageId: 'preferThemeToken',
+        data: { className, variable: first.variable, replacement: first.className },
+        fix: range && replacements.length === 1 ? replaceWith(first.className) : null,
+        suggest: range && replacements.length > 1
+          ? replacements.map(replacement => ({
+            messageId: 'replaceClass',
+            data: { className, replacement: replacement.className },
+            fix: replaceWith(replacement.className),
+          }))
+          : [],
+      });
+    }
+
+    return createClassSourceVisitors(context, checkThemeTokens);
+  },
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const { ESLint, RuleTester } = require('eslint');
+const plugin = require('..');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(...segments) {
+  return path.join(FIXTURES, ...segments);
+}
+
+// Every rule reads the same fixture theme unless a test points `cssFile` elsewhere
+const cssFile = fixture('globals.css');
+
+// `parser` (a module name) switches to a template parser such as `vue-eslint-parser`
+function createRuleTester({ parser } = {}) {
+  return new RuleTester({
+    ...(parser ? { parser: require.resolve(parser) } : {}),
+    parserOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      ecmaFeatures: { jsx: true },
+    },
+  });
+}
+
+// `<div className="..." />` with the rule options every test shares
+function jsx(classList) {
+  return `const el = <div className="${classList}" />;`;
+}
+
+/**
+ * Lint `text` as `filename` (inside the fixtures directory) through one of the
+ * plugin's processors, with `rules` enabled for the generated blocks and
+ * `baseRules` for every file, the way a project config would set them up.
+ * Resolves to `{ messages, output }`.
+ */
+async function lintWithProcessor(text, { filename, processor, rules, baseRules = {}, fix = false }) {
+  const eslint = new ESLint({
+    cwd: FIXTURES,
+    useEslintrc: false,
+    fix,
+    plugins: { 'tailwind-v4': plugin },
+    overrideConfig: {
+      plugins: ['tailwind-v4'],
+      rules: baseRules,
+      overrides: [
+        { files: [`*${path.extname(filename)}`], processor },
+        { files: [`*${path.extname(filename)}/*.js`], rules },
+      ],
+    },
+  });
+
+  const [result] = await eslint.lintText(text, { filePath: fixture(filename) });
+  return { messages: result.messages, output: result.output === undefined ? text : result.output };
+}
+
+module.exports = {
+  cssFile,
+  fixture,
+  createRuleTester,
+  jsx,
+  lintWithProcessor,
+};
@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { ESLint } = require('eslint');
+const plugin = require('../..');
+const { cssFile } = require('../helpers');
+
+describe('classSourceSchema', () => {
+  function lint(options) {
+    const eslint = new ESLint({
+      useEslintrc: false,
+      plugins: { 'tailwind-v4': plugin },
+      overrideConfig: {
+        plugins: ['tailwind-v4'],
+        parserOptions: { ecmaVersion: 2022 },
+        rules: { 'tailwind-v4/no-duplicate-classes': ['error', { cssFile, ...options }] },
+      },
+    });
+
+    return eslint.lintText('const el = cn("flex flex");');
+  }
+
+  it('rejects calleePatterns that are not regular expressions', async () => {
+    await assert.rejects(lint({ calleePatterns: ['^cn('] }), /Value "\^cn\(" should match format "regex"/);
+  });
+
+  it('rejects attributes that are not regular expressions', async () => {
+    await assert.rejects(lint({ attributes: ['[class'] }), /Value "\[class" should match format "regex"/);
+  });
+
+  it('accepts valid patterns', async () => {
+    const [result] = await lint({ calleePatterns: ['^c\\w$'], attributes: ['^class(Name)?$'] });
+    assert.deepStrictEqual(result.messages.map(message => message.ruleId), ['tailwind-v4/no-duplicate-classes']);
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveCSSEntry } = require('../../lib/css-entrypoints');
+
+describe('resolveCSSEntry', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'tailwind-v4-entrypoints-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  function write(relativePath, content) {
+    const filePath = path.join(projectRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+
+    // Push the mtimes past the discovery snapshot even on coarse filesystems
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, later, later);
+    fs.utimesSync(path.dirname(filePath), later, later);
+    return filePath;
+  }
+
+  function discover() {
+    const filename = path.join(projectRoot, 'src', 'components', 'Button.jsx');
+    return resolveCSSEntry({ filename, projectRoot, discoverCssFile: true });
+  }
+
+  it('falls back to the default path when discovery finds nothing', () => {
+    write('src/components/Button.jsx', '');
+
+    assert.strictEqual(discover(), path.join(projectRoot, 'src', 'styles', 'globals.css'));
+  });
+
+  it('finds a stylesheet created after an earlier search', () => {
+    write('src/components/Button.jsx', '');
+    discover();
+
+    const entry = write('src/app/main.css', '@import "tailwindcss";\n');
+    assert.strictEqual(discover(), entry);
+  });
+
+  it('finds a stylesheet that gains a Tailwind import after an earlier search', () => {
+    write('src/components/Button.jsx', '');
+    const entry = write('src/app/main.css', '.card {}\n');
+    discover();
+
+    write('src/app/main.css', '@import "tailwindcss";\n');
+    assert.strictEqual(discover(), entry);
+  });
+
+  it('stops using a stylesheet that was removed', () => {
+    write('src/components/Button.jsx', '');
+    const entry = write('src/app/main.css', '@import "tailwindcss";\n');
+    assert.strictEqual(discover(), entry);
+
+    fs.unlinkSync(entry);
+    assert.strictEqual(discover(), path.join(projectRoot, 'src', 'styles', 'globals.css'));
+  });
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { parseCSS, walk, extractSelectorClasses, unescapeClassName, getImportPath, getImportOptions } = require('../../lib/css-parser');
+
+// `[type, name or selector or prop, depth]` for every node, in document order
+function outline(css) {
+  const nodes = [];
+  walk(parseCSS(css), (node, parents) => {
+    nodes.push([node.type, node.name || node.selector || node.prop, parents.length]);
+  });
+  return nodes;
+}
+
+describe('parseCSS', () => {
+  it('nests rules inside @layer and @media to any depth', () => {
+    const css = '@layer components { @media (min-width: 40rem) { .card { &:hover { .icon { color: red; } } } } }';
+
+    assert.deepStrictEqual(outline(css), [
+      ['atrule', 'layer', 0],
+      ['atrule', 'media', 1],
+      ['rule', '.card', 2],
+      ['rule', '&:hover', 3],
+      ['rule', '.icon', 4],
+      ['decl', 'color', 5],
+    ]);
+  });
+
+  it('ignores braces and semicolons in comments and strings', () => {
+    const css = [
+      '/* .commented { color: red; } */',
+      '.a { content: "}"; --x: \'{;\'; }',
+      '/* } */ .b { color: blue; }',
+    ].join('\n');
+
+    assert.deepStrictEqual(outline(css), [
+      ['rule', '.a', 0],
+      ['decl', 'content', 1],
+      ['decl', '--x', 1],
+      ['rule', '.b', 0],
+      ['decl', 'color', 1],
+    ]);
+  });
+
+  it('reads every declaration of a @theme block past nested blocks', () => {
+    const css = '@theme { --color-a: red; @keyframes spin { to { rotate: 360deg; } } --color-b: blue; }';
+    const [theme] = parseCSS(css).nodes;
+
+    assert.deepStrictEqual(theme.nodes.filter(node => node.type === 'decl').map(node => node.prop), ['--color-a', '--color-b']);
+  });
+
+  it('keeps brackets and parentheses in preludes and values together', () => {
+    const [variant, utility] = parseCSS('@custom-variant midnight (&:where([data-theme=midnight] *)); @utility tab-4 { tab-size: var(--a, calc(1 + 3)); }').nodes;
+
+    assert.deepStrictEqual([variant.name, variant.params], ['custom-variant', 'midnight (&:where([data-theme=midnight] *))']);
+    assert.deepStrictEqual([utility.name, utility.params, utility.nodes[0].value], ['utility', 'tab-4', 'var(--a, calc(1 + 3))']);
+  });
+
+  it('records where each node and its params start', () => {
+    const css = '/* x */\n@apply flex;\n.a {}';
+    const [apply, rule] = parseCSS(css).nodes;
+
+    assert.strictEqual(css.slice(apply.start, apply.paramsStart), '@apply ');
+    assert.strictEqual(css.slice(rule.start, rule.end), '.a {}');
+  });
+});
+
+describe('extractSelectorClasses', () => {
+  it('reads every class of compound and complex selectors', () => {
+    assert.deepStrictEqual(extractSelectorClasses('.a .b:hover, .c.d > .e::before'), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('unescapes escaped class names', () => {
+    assert.deepStrictEqual(extractSelectorClasses('.hover\\:bg-x:hover .w-1\\/2 .\\31 0'), ['hover:bg-x', 'w-1/2', '10']);
+  });
+
+  it('skips attribute selectors, strings and numbers', () => {
+    assert.deepStrictEqual(extractSelectorClasses('[data-x=".no"] .yes:is(a[href$=".pdf"]) .5'), ['yes']);
+  });
+});
+
+describe('unescapeClassName', () => {
+  it('decodes hex and character escapes', () => {
+    assert.strictEqual(unescapeClassName('\\32 xl\\:p-4\\!'), '2xl:p-4!');
+  });
+});
+
+describe('imports', () => {
+  it('reads the path of quoted and url() imports', () => {
+    assert.strictEqual(getImportPath('"./a.css" layer(base)'), './a.css');
+    assert.strictEqual(getImportPath("url('./b.css')"), './b.css');
+    assert.strictEqual(getImportPath('url(./c.css) screen'), './c.css');
+    assert.strictEqual(getImportPath('theme(static)'), null);
+  });
+
+  it('reads the options of a Tailwind import', () => {
+    assert.deepStrictEqual(getImportOptions('"tailwindcss" prefix(tw) important source("../src")'), {
+      prefix: 'tw',
+      important: true,
+      sources: ['../src'],
+    });
+  });
+});
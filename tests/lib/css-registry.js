@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getClassRegistry } = require('../../lib/css-registry');
+
+describe('getClassRegistry', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'tailwind-v4-registry-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  let writes = 0;
+
+  function write(relativePath, content) {
+    const filePath = path.join(projectRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+
+    // Push the file's and directory's mtimes past the registry's snapshot even on coarse filesystems
+    writes++;
+    const later = new Date(Date.now() + writes * 5000);
+    fs.utimesSync(filePath, later, later);
+    fs.utimesSync(path.dirname(filePath), later, later);
+    return filePath;
+  }
+
+  // The registry checks its files at most once per turn of the event loop
+  function nextTurn() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  function unresolvedImports(registry) {
+    return registry.diagnostics.filter(({ type }) => type === 'unresolvedImport').map(({ specifier }) => specifier);
+  }
+
+  it('reuses the registry while no file in the import graph changes', async () => {
+    const cssPath = write('styles/globals.css', '@import "tailwindcss";\n@import "./cards.css";\n');
+    write('styles/cards.css', '.card { color: red; }\n');
+
+    const registry = getClassRegistry(cssPath, projectRoot, false);
+    assert.strictEqual(getClassRegistry(cssPath, projectRoot, false), registry);
+
+    await nextTurn();
+    assert.strictEqual(getClassRegistry(cssPath, projectRoot, false), registry);
+
+    // A new mtime with the same content is not a change
+    write('styles/cards.css', '.card { color: red; }\n');
+    await nextTurn();
+    assert.strictEqual(getClassRegistry(cssPath, projectRoot, false), registry);
+  });
+
+  it('rebuilds when the entry or an imported file changes', async () => {
+    const cssPath = write('styles/globals.css', '@import "tailwindcss";\n@import "./cards.css";\n');
+    write('styles/cards.css', '.card { color: red; }\n');
+    const first = getClassRegistry(cssPath, projectRoot, false);
+
+    write('styles/globals.css', '@import "tailwindcss";\n@import "./cards.css";\n.hero { color: blue; }\n');
+    await nextTurn();
+    const second = getClassRegistry(cssPath, projectRoot, false);
+    assert.notStrictEqual(second, first);
+    assert.ok(second.customClasses.has('hero'));
+
+    write('styles/cards.css', '.card { color: red; }\n.card-title { font-weight: 600; }\n');
+    await nextTurn();
+    const third = getClassRegistry(cssPath, projectRoot, false);
+    assert.notStrictEqual(third, second);
+    assert.ok(third.customClasses.has('card-title'));
+  });
+
+  it('checks the import graph once per turn of the event loop', async () => {
+    const cssPath = write('styles/globals.css', '@import "tailwindcss";\n');
+    const registry = getClassRegistry(cssPath, projectRoot, false);
+
+    write('styles/globals.css', '@import "tailwindcss";\n.hero { color: blue; }\n');
+    assert.strictEqual(getClassRegistry(cssPath, projectRoot, false), registry);
+
+    await nextTurn();
+    assert.ok(getClassRegistry(cssPath, projectRoot, false).customClasses.has('hero'));
+  });
+
+  it('keeps explicit classes ahead of the utilities the theme generates', () => {
+    const cssPath = write('styles/globals.css', [
+      '@import "tailwindcss";',
+      '@theme { --color-brand: #1d4ed8; }',
+      '@layer components { .bg-brand { background: url(/brand.png); } }',
+    ].join('\n'));
+
+    const registry = getClassRegistry(cssPath, projectRoot, false);
+    assert.strictEqual(registry.customClassLayers.get('bg-brand'), 'components');
+    assert.ok(registry.customClasses.has('text-brand'));
+    assert.ok(!registry.customClassLayers.has('text-brand'));
+  });
+
+  it('picks up a relative import created after it was reported missing', async () => {
+    const cssPath = write('styles/globals.css', '@import "tailwindcss";\n@import "./later.css";\n');
+
+    const before = getClassRegistry(cssPath, projectRoot, false);
+    assert.deepStrictEqual(unresolvedImports(before), ['./later.css']);
+    assert.strictEqual(getClassRegistry(cssPath, projectRoot, false), before);
+
+    write('styles/later.css', '.later-card { color: red; }\n');
+    await nextTurn();
+
+    const after = getClassRegistry(cssPath, projectRoot, false);
+    assert.notStrictEqual(after, before);
+    assert.deepStrictEqual(unresolvedImports(after), []);
+    assert.ok(after.customClasses.has('later-card'));
+  });
+
+  it('does not report remote imports as unresolved', () => {
+    const cssPath = write('styles/globals.css', [
+      '@import "tailwindcss";',
+      '@import url(https://fonts.googleapis.com/css2?family=Inter);',
+      '@import "//cdn.example.com/reset.css";',
+      '@import url("data:text/css,.a{}");',
+      '@import "./missing.css";',
+    ].join('\n'));
+
+    assert.deepStrictEqual(unresolvedImports(getClassRegistry(cssPath, projectRoot, false)), ['./missing.css']);
+  });
+
+  it('picks up a package installed after it was reported missing', async () => {
+    const cssPath = write('styles/globals.css', '@import "tailwindcss";\n@import "later-pkg";\n');
+
+    const before = getClassRegistry(cssPath, projectRoot, false);
+    assert.deepStrictEqual(unresolvedImports(before), ['later-pkg']);
+
+    write('node_modules/later-pkg/package.json', '{ "name": "later-pkg", "style": "index.css" }\n');
+    write('node_modules/later-pkg/index.css', '.pkg-card { color: red; }\n');
+    await nextTurn();
+
+    const after = getClassRegistry(cssPath, projectRoot, false);
+    assert.deepStrictEqual(unresolvedImports(after), []);
+    assert.ok(after.customClasses.has('pkg-card'));
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { cssFile, lintWithProcessor } = require('../helpers');
+
+const processor = 'tailwind-v4/css';
+const filename = 'components.css';
+
+function lintCSS(text, rules, options = {}) {
+  return lintWithProcessor(text, { filename, processor, rules, ...options });
+}
+
+describe('tailwind-v4/css processor', () => {
+  it('reports undefined @apply classes at their position in the stylesheet', async () => {
+    const text = '.a {\n  @apply flex bogus-class;\n}\n';
+    const { messages } = await lintCSS(text, { 'tailwind-v4/no-undefined-classes': ['error', { cssFile }] });
+
+    assert.deepStrictEqual(
+      messages.map(({ line, column, endColumn, message }) => ({ line, column, endColumn, message })),
+      [{ line: 2, column: 15, endColumn: 26, message: "Tailwind class 'bogus-class' is not defined in your CSS" }],
+    );
+  });
+
+  it('leaves `!important` alone when fixing the list before it', async () => {
+    const text = '.a { @apply flex flex !important; }\n.b { @apply p-4 p-4\n  !important; }\n';
+    const { messages, output } = await lintCSS(text, { 'tailwind-v4/no-duplicate-classes': ['error', { cssFile }] }, { fix: true });
+
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(output, '.a { @apply flex !important; }\n.b { @apply p-4\n  !important; }\n');
+  });
+
+  it('maps fixes after classes containing quotes and backslashes', async () => {
+    const text = `.a { @apply bg-[url("a.png")] content-['\\2192'] flex flex; }\n`;
+    const { messages, output } = await lintCSS(text, { 'tailwind-v4/no-duplicate-classes': ['error', { cssFile }] }, { fix: true });
+
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(output, `.a { @apply bg-[url("a.png")] content-['\\2192'] flex; }\n`);
+  });
+
+  it('ignores rules from outside the plugin on the generated code', async () => {
+    const text = '.a { @apply flex bogus-class; }\n';
+    const { messages } = await lintCSS(text, { 'tailwind-v4/no-undefined-classes': ['error', { cssFile }] }, {
+      baseRules: { 'no-undef': 'error', 'no-unused-expressions': 'error' },
+    });
+
+    assert.deepStrictEqual(messages.map(message => message.ruleId), ['tailwind-v4/no-undefined-classes']);
+  });
+
+  it('does not treat `!important` as a class', async () => {
+    const text = '.a { @apply flex !important; }\n';
+    const { messages } = await lintCSS(text, { 'tailwind-v4/no-undefined-classes': ['error', { cssFile }] });
+
+    assert.deepStrictEqual(messages, []);
+  });
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { cssFile, lintWithProcessor } = require('../helpers');
+
+const processor = 'tailwind-v4/html';
+const filename = 'index.html';
+
+function lintHTML(text, rules, options = {}) {
+  return lintWithProcessor(text, { filename, processor, rules, ...options });
+}
+
+describe('tailwind-v4/html processor', () => {
+  it('reports undefined classes at their position in the attribute', async () => {
+    const text = '<main>\n  <div class="flex bogus-class"></div>\n</main>\n';
+    const { messages } = await lintHTML(text, { 'tailwind-v4/no-undefined-classes': ['error', { cssFile }] });
+
+    assert.deepStrictEqual(
+      messages.map(({ line, column, endColumn, message }) => ({ line, column, endColumn, message })),
+      [{ line: 2, column: 20, endColumn: 31, message: "Tailwind class 'bogus-class' is not defined in your CSS" }],
+    );
+  });
+
+  it('maps fixes after classes containing quotes and backslashes', async () => {
+    const text = `<div class='bg-[url("a.png")] p-4 p-4'></div>\n<p class="content-['\\\\2192'] flex flex"></p>\n`;
+    const { messages, output } = await lintHTML(text, { 'tailwind-v4/no-duplicate-classes': ['error', { cssFile }] }, { fix: true });
+
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(output, `<div class='bg-[url("a.png")] p-4'></div>\n<p class="content-['\\\\2192'] flex"></p>\n`);
+  });
+
+  it('ignores rules from outside the plugin on the generated code', async () => {
+    const { messages } = await lintHTML('<div class="flex p-4"></div>\n', {}, { baseRules: { 'no-undef': 'error' } });
+
+    assert.deepStrictEqual(messages, []);
+  });
+});
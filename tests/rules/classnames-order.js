@@ -0,0 +1,51 @@
+const rule = require('../../rules/classnames-order');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+
+createRuleTester().run('classnames-order', rule, {
+  valid: [
+    { code: jsx('flex items-center p-4 text-brand hover:underline md:p-8'), options },
+    { code: jsx('card btn p-4'), options },
+    { code: jsx('flex'), options },
+    { code: 'const el = cn("p-4", "flex");', options },
+  ],
+  invalid: [
+    {
+      code: jsx('p-4 flex'),
+      options,
+      output: jsx('flex p-4'),
+      errors: [{ messageId: 'unsortedClasses', data: { expected: 'flex p-4' } }],
+    },
+    {
+      code: jsx('md:p-8 hover:underline p-4'),
+      options,
+      output: jsx('p-4 hover:underline md:p-8'),
+      errors: [{ messageId: 'unsortedClasses' }],
+    },
+    {
+      code: jsx('lg:flex sm:flex'),
+      options,
+      output: jsx('sm:flex lg:flex'),
+      errors: [{ messageId: 'unsortedClasses' }],
+    },
+    {
+      code: jsx('p-4 btn'),
+      options,
+      output: jsx('btn p-4'),
+      errors: [{ messageId: 'unsortedClasses' }],
+    },
+    {
+      code: jsx('btn p-4'),
+      options: [{ cssFile, customClassOrder: 'end' }],
+      output: jsx('p-4 btn'),
+      errors: [{ messageId: 'unsortedClasses' }],
+    },
+    {
+      code: 'const el = cn("p-4 flex", cond && "underline flex");',
+      options,
+      output: 'const el = cn("flex p-4", cond && "flex underline");',
+      errors: [{ messageId: 'unsortedClasses' }, { messageId: 'unsortedClasses' }],
+    },
+  ],
+});
@@ -0,0 +1,57 @@
+const rule = require('../../rules/enforce-shorthand');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+
+createRuleTester().run('enforce-shorthand', rule, {
+  valid: [
+    { code: jsx('p-4 size-8 border-y'), options },
+    { code: jsx('pt-2 pb-4'), options },
+    { code: jsx('w-8 md:h-8'), options },
+    { code: jsx('w-screen h-screen'), options },
+  ],
+  invalid: [
+    {
+      code: jsx('px-gutter py-gutter'),
+      options,
+      output: jsx('p-gutter'),
+      errors: [{ messageId: 'useShorthand', data: { classes: 'px-gutter py-gutter', shorthand: 'p-gutter' } }],
+    },
+    {
+      code: jsx('hover:w-gutter flex hover:h-gutter'),
+      options,
+      output: jsx('hover:size-gutter flex'),
+      errors: [{ messageId: 'useShorthand', data: { classes: 'hover:w-gutter hover:h-gutter', shorthand: 'hover:size-gutter' } }],
+    },
+    {
+      code: jsx('mt-gutter mb-gutter'),
+      options,
+      output: jsx('my-gutter'),
+      errors: [{ messageId: 'useShorthand', data: { classes: 'mt-gutter mb-gutter', shorthand: 'my-gutter' } }],
+    },
+    {
+      code: jsx('pt-2 flex pb-2'),
+      options,
+      output: jsx('py-2 flex'),
+      errors: [{ messageId: 'useShorthand', data: { classes: 'pt-2 pb-2', shorthand: 'py-2' } }],
+    },
+    {
+      code: jsx('w-8 h-8'),
+      options,
+      output: jsx('size-8'),
+      errors: [{ messageId: 'useShorthand', data: { classes: 'w-8 h-8', shorthand: 'size-8' } }],
+    },
+    {
+      code: jsx('md:mx-auto md:my-auto'),
+      options,
+      output: jsx('md:m-auto'),
+      errors: [{ messageId: 'useShorthand' }],
+    },
+    {
+      code: jsx('rounded-tl-lg rounded-tr-lg'),
+      options,
+      output: jsx('rounded-t-lg'),
+      errors: [{ messageId: 'useShorthand' }],
+    },
+  ],
+});
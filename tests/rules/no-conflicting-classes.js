@@ -0,0 +1,66 @@
+const rule = require('../../rules/no-conflicting-classes');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+
+createRuleTester().run('no-conflicting-classes', rule, {
+  valid: [
+    { code: jsx('p-4 mt-2 flex'), options },
+    { code: jsx('p-4 md:p-8 hover:p-6'), options },
+    { code: jsx('p-4 px-2'), options },
+    { code: jsx('bg-red-500 bg-[url(/hero.png)]'), options },
+    { code: jsx('bg-brand bg-linear-to-r'), options },
+    { code: jsx('bg-red-500 bg-[image:var(--hero)]'), options },
+    { code: jsx('bg-red-500 bg-none bg-cover bg-center'), options },
+    { code: jsx('bg-brand bg-[length:200%_auto] bg-[position:center_top]'), options },
+    { code: jsx('bg-linear-to-r bg-[#fff]'), options },
+    // Classes written in the project's CSS have no known properties
+    { code: jsx('card rounded-lg btn p-4'), options },
+    { code: jsx('p-gutter mt-gutter text-brand bg-brand-light'), options },
+  ],
+  invalid: [
+    {
+      code: jsx('p-4 p-2'),
+      options,
+      errors: [{
+        messageId: 'conflictingClasses',
+        data: { className: 'p-4', overriddenBy: 'p-2', properties: 'padding-top, padding-right, padding-bottom, padding-left' },
+        suggestions: [{ messageId: 'removeClass', output: jsx('p-2') }],
+      }],
+    },
+    {
+      code: jsx('bg-red-500 bg-[#fff]'),
+      options,
+      errors: [{ messageId: 'conflictingClasses', suggestions: [{ messageId: 'removeClass', output: jsx('bg-[#fff]') }] }],
+    },
+    {
+      code: jsx('bg-[url(/a.png)] bg-[url(/b.png)]'),
+      options,
+      errors: [{ messageId: 'conflictingClasses', suggestions: [{ messageId: 'removeClass', output: jsx('bg-[url(/b.png)]') }] }],
+    },
+    {
+      code: jsx('md:text-left md:text-right'),
+      options,
+      errors: [{ messageId: 'conflictingClasses', suggestions: [{ messageId: 'removeClass', output: jsx('md:text-right') }] }],
+    },
+    {
+      code: jsx('bg-brand bg-red-500'),
+      options,
+      errors: [{
+        messageId: 'conflictingClasses',
+        data: { className: 'bg-brand', overriddenBy: 'bg-red-500', properties: 'background-color' },
+        suggestions: [{ messageId: 'removeClass', output: jsx('bg-red-500') }],
+      }],
+    },
+    {
+      code: jsx('p-gutter p-4'),
+      options,
+      errors: [{ messageId: 'conflictingClasses', data: { className: 'p-gutter', overriddenBy: 'p-4', properties: 'padding-top, padding-right, padding-bottom, padding-left' } }],
+    },
+    {
+      code: jsx('text-brand-light hover:text-red-500 text-brand'),
+      options,
+      errors: [{ messageId: 'conflictingClasses', suggestions: [{ messageId: 'removeClass', output: jsx('hover:text-red-500 text-brand') }] }],
+    },
+  ],
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { Linter } = require('eslint');
+const rule = require('../../rules/no-deprecated-v3-classes');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+const migrating = [{ cssFile, changedMeaning: true }];
+
+createRuleTester().run('no-deprecated-v3-classes', rule, {
+  valid: [
+    { code: jsx('grow shrink-0 bg-linear-to-r text-ellipsis'), options },
+    // Valid v4 classes whose meaning changed are left alone unless migrating
+    { code: jsx('rounded-sm shadow-sm blur-sm outline-none ring rounded shadow'), options },
+    { code: jsx('bg-red-500/50'), options },
+  ],
+  invalid: [
+    {
+      code: jsx('flex-grow md:flex-shrink-0 bg-gradient-to-r'),
+      options,
+      output: jsx('grow md:shrink-0 bg-linear-to-r'),
+      errors: [
+        { messageId: 'renamedClass', data: { className: 'flex-grow', replacement: 'grow' } },
+        { messageId: 'renamedClass', data: { className: 'md:flex-shrink-0', replacement: 'md:shrink-0' } },
+        { messageId: 'renamedClass', data: { className: 'bg-gradient-to-r', replacement: 'bg-linear-to-r' } },
+      ],
+    },
+    {
+      code: jsx('hover:!overflow-ellipsis'),
+      options,
+      output: jsx('hover:!text-ellipsis'),
+      errors: [{ messageId: 'renamedClass' }],
+    },
+    {
+      code: jsx('transform rotate-45'),
+      options,
+      output: jsx('rotate-45'),
+      errors: [{ messageId: 'removedClass', data: { className: 'transform' } }],
+    },
+    {
+      code: jsx('bg-red-500 bg-opacity-50'),
+      options,
+      output: jsx('bg-red-500/50'),
+      errors: [{ messageId: 'opacityClass', data: { className: 'bg-opacity-50', replacement: 'bg-red-500/50' } }],
+    },
+    {
+      code: jsx('text-opacity-75'),
+      options,
+      output: null,
+      errors: [{ messageId: 'opacityClass', data: { className: 'text-opacity-75', replacement: 'text-<color>/75' } }],
+    },
+    {
+      code: jsx('rounded-sm outline-none ring shadow'),
+      options: migrating,
+      output: null,
+      errors: [
+        { messageId: 'renamedClass', suggestions: [{ messageId: 'replaceClass', output: jsx('rounded-xs outline-none ring shadow') }] },
+        { messageId: 'renamedClass', suggestions: [{ messageId: 'replaceClass', output: jsx('rounded-sm outline-hidden ring shadow') }] },
+        { messageId: 'renamedClass', suggestions: [{ messageId: 'replaceClass', output: jsx('rounded-sm outline-none ring-3 shadow') }] },
+        { messageId: 'renamedClass', suggestions: [{ messageId: 'replaceClass', output: jsx('rounded-sm outline-none ring shadow-sm') }] },
+      ],
+    },
+  ],
+});
+
+describe('no-deprecated-v3-classes replacements', () => {
+  const linter = new Linter();
+  linter.defineRules({
+    'tailwind-v4/no-deprecated-v3-classes': rule,
+    'tailwind-v4/no-undefined-classes': require('../../rules/no-undefined-classes'),
+  });
+
+  const config = rules => ({
+    parserOptions: { ecmaVersion: 2022, sourceType: 'module', ecmaFeatures: { jsx: true } },
+    rules,
+  });
+
+  function undefinedClasses(code) {
+    return linter.verify(code, config({ 'tailwind-v4/no-undefined-classes': ['error', { cssFile }] }))
+      .map(message => message.message);
+  }
+
+  it('fixes into classes no-undefined-classes accepts', () => {
+    const code = jsx('decoration-clone decoration-slice flex-grow bg-gradient-to-r overflow-ellipsis');
+    const { output } = linter.verifyAndFix(code, config({ 'tailwind-v4/no-deprecated-v3-classes': ['error', { cssFile }] }));
+
+    assert.strictEqual(output, jsx('box-decoration-clone box-decoration-slice grow bg-linear-to-r text-ellipsis'));
+    assert.deepStrictEqual(undefinedClasses(output), []);
+  });
+
+  it('suggests classes no-undefined-classes accepts', () => {
+    const code = jsx('shadow-sm rounded-sm shadow rounded blur-sm drop-shadow-sm backdrop-blur outline-none ring rounded-t-sm');
+    const messages = linter.verify(code, config({ 'tailwind-v4/no-deprecated-v3-classes': ['error', { cssFile, changedMeaning: true }] }));
+    const replacements = messages.map(({ suggestions: [{ fix }] }) => fix.text);
+
+    assert.deepStrictEqual(replacements, ['shadow-xs', 'rounded-xs', 'shadow-sm', 'rounded-sm', 'blur-xs', 'drop-shadow-xs', 'backdrop-blur-sm', 'outline-hidden', 'ring-3', 'rounded-t-xs']);
+    assert.deepStrictEqual(undefinedClasses(jsx(replacements.join(' '))), []);
+  });
+});
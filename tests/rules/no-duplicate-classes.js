@@ -0,0 +1,44 @@
+const rule = require('../../rules/no-duplicate-classes');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+
+createRuleTester().run('no-duplicate-classes', rule, {
+  valid: [
+    { code: jsx('flex p-4 md:flex'), options },
+    { code: jsx('hover:p-4 focus:p-4'), options },
+    { code: 'const el = cn(cond ? "flex" : "flex p-2");', options },
+  ],
+  invalid: [
+    {
+      code: jsx('flex p-4 flex'),
+      options,
+      output: jsx('flex p-4'),
+      errors: [{ messageId: 'duplicateClass', data: { className: 'flex' } }],
+    },
+    {
+      code: jsx('hover:focus:p-4 focus:hover:p-4'),
+      options,
+      output: jsx('hover:focus:p-4'),
+      errors: [{ messageId: 'equivalentClass', data: { className: 'focus:hover:p-4', original: 'hover:focus:p-4' } }],
+    },
+    {
+      code: 'const el = cn("flex", cond && "flex p-2");',
+      options,
+      output: 'const el = cn("flex", cond && "p-2");',
+      errors: [{ messageId: 'duplicateClass' }],
+    },
+    {
+      code: 'const el = cn("flex p-4", "flex");',
+      options,
+      output: 'const el = cn("flex p-4", "");',
+      errors: [{ messageId: 'duplicateClass' }],
+    },
+    {
+      code: 'const el = cn("bg-[url(\\"a.png\\")] flex flex");',
+      options,
+      output: 'const el = cn("bg-[url(\\"a.png\\")] flex");',
+      errors: [{ messageId: 'duplicateClass', column: 41, endColumn: 45 }],
+    },
+  ],
+});
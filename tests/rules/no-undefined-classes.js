@@ -0,0 +1,395 @@
+const path = require('path');
+const rule = require('../../rules/no-undefined-classes');
+const { cssFile, fixture, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+const typeChecked = [{ cssFile, validateArbitraryValues: true }];
+const prefixed = [{ cssFile: fixture('prefix', 'globals.css') }];
+const missingEntry = [{ cssFile: fixture('missing', 'globals.css') }];
+const themed = [{ cssFile: fixture('theme', 'globals.css') }];
+const reset = [{ cssFile: fixture('reset', 'globals.css') }];
+const fixingTypos = [{ cssFile, fixTypos: true }];
+const discovered = { options: [{ discoverCssFile: true }], filename: fixture('prefix', 'Button.jsx') };
+
+createRuleTester().run('no-undefined-classes', rule, {
+  valid: [
+    { code: jsx('flex items-center p-4 md:p-8 hover:underline'), options },
+    { code: jsx('btn card content-auto'), options },
+    { code: jsx('bg-brand text-brand-light p-gutter'), options },
+    { code: jsx('theme-midnight:bg-brand'), options },
+    { code: jsx('not-hover:flex not-dark:flex group-hover/item:flex peer-focus/name:flex group-[.is-open]:flex'), options },
+    { code: jsx('has-[input:checked]:flex has-checked:flex aria-busy:flex aria-[sort=asc]:flex data-active:flex data-[state=open]:flex'), options },
+    { code: jsx('nth-3:flex nth-last-[2n+1]:flex supports-[display:grid]:flex starting:flex *:flex **:flex'), options },
+    { code: jsx('not-theme-midnight:flex group-theme-midnight:flex'), options },
+    { code: jsx('w-[10px] bg-[#fff] !flex flex!'), options },
+    { code: jsx('shadow-xs shadow-2xs rounded-xs rounded-t-xs box-decoration-clone box-decoration-slice'), options },
+    { code: jsx('inset-shadow-sm inset-shadow-red-500 inset-ring inset-ring-2 inset-ring-blue-500/50 text-shadow-md text-shadow-brand'), options },
+    { code: jsx('w-[10px] bg-[color:var(--color-brand)]'), options: typeChecked },
+    { code: jsx('tw:flex tw:hover:bg-red-500 tw:p-4! tw:content-auto card'), options: prefixed },
+    { code: jsx('tw:flex card'), ...discovered },
+    { code: jsx('swiper-slide js-toggle legacy-grid'), options: [{ cssFile, ignoreClasses: ['swiper-slide', 'js-*'], allowPatterns: ['^legacy-'] }] },
+    { code: jsx('btn-ghost ok-12'), options: [{ cssFile, allowlistFile: fixture('allowlist.txt') }] },
+    // Valid v4 classes are never "corrected" to a near neighbour (`shadow-xs` -> `shadow-xl`)
+    { code: jsx('shadow-xs rounded-xs inset-shadow-xs text-shadow-xs'), options: fixingTypos },
+    // Expressions: only the statically known parts are checked
+    { code: 'const el = <div className={`flex p-${size} bg-${color}-500 ${active ? "underline" : ""}`} />;', options },
+    { code: 'const el = <div className={active ? "flex" : "hidden"} />;', options },
+    { code: 'const el = <div className={open && "block"} />;', options },
+    { code: 'const el = <div className={cls || "p-4"} />;', options },
+    { code: 'const el = <div className={"px-4 " + size + " bg-" + color + "-500 rounded"} />;', options },
+    // Object values, cva option names and defaultVariants are not classes
+    { code: "const c = cn({ 'bg-brand': isError, hidden: !open, flex: 'bogus-value' }, ['p-4', cond && ['mt-2']]);", options },
+    { code: "const button = cva('flex', { variants: { bogusName: { bogusOption: 'p-4' } }, defaultVariants: { bogusName: 'bogusOption' } });", options },
+    // Theme breakpoints and containers become variants next to the defaults
+    { code: jsx('3xl:grid-cols-4 max-3xl:flex min-[900px]:p-4 md:flex @sidebar:flex @max-sidebar:hidden @md:block'), options: themed },
+    // Every theme namespace generates its utilities
+    { code: jsx('inset-shadow-soft drop-shadow-glow blur-haze backdrop-blur-haze ease-snappy'), options: themed },
+    { code: jsx('tracking-snug -tracking-snug leading-cozy text-display perspective-deep aspect-poster'), options: themed },
+    { code: jsx('p-4.5 -mx-4.5 size-4.5 w-sidebar max-w-sidebar'), options: themed },
+    // Reset namespaces keep only what the theme declares again
+    { code: jsx('tablet:flex max-tablet:hidden bg-ink text-ink/50 p-4 rounded-lg'), options: reset },
+    // Only configured class sources are read
+    { code: "const label = format('bogus-class'); const title = 'bogus-class';", options },
+    { code: 'const el = <Card title="bogus-class" containerClass="bogus-class" />;', options },
+    { code: "const c = cn('bogus-class');", options: [{ cssFile, callees: ['classy'] }] },
+    { code: 'const el = <div className="bogus-class" />;', options: [{ cssFile, attributes: ['ClassName$'] }] },
+  ],
+  invalid: [
+    {
+      code: jsx('flex itmes-center'),
+      options,
+      output: null,
+      errors: [{
+        messageId: 'undefinedClassWithSuggestion',
+        data: { className: 'itmes-center', suggestion: 'items-center' },
+        suggestions: [{ messageId: 'replaceClass', output: jsx('flex items-center') }],
+      }],
+    },
+    {
+      code: jsx('md:hover:flx bg-brnad'),
+      options: fixingTypos,
+      output: jsx('md:hover:flex bg-brand'),
+      errors: [
+        { messageId: 'undefinedClassWithSuggestion', data: { className: 'md:hover:flx', suggestion: 'md:hover:flex' } },
+        { messageId: 'undefinedClassWithSuggestion', data: { className: 'bg-brnad', suggestion: 'bg-brand' } },
+      ],
+    },
+    {
+      // `rounded-l-md`, `rounded-l-sm` and `rounded-b-md` are all one edit away, so nothing is applied
+      code: jsx('rounded-l-mm'),
+      options: fixingTypos,
+      output: null,
+      errors: [{
+        messageId: 'undefinedClassWithSuggestion',
+        suggestions: [
+          { messageId: 'replaceClass', output: jsx('rounded-l-md') },
+          { messageId: 'replaceClass', output: jsx('rounded-l-sm') },
+          { messageId: 'replaceClass', output: jsx('rounded-b-md') },
+        ],
+      }],
+    },
+    {
+      code: jsx('flex bogus-class'),
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-class' } }],
+    },
+    {
+      code: jsx('hovr:flex'),
+      options,
+      errors: [{
+        messageId: 'invalidVariantWithSuggestion',
+        data: { variant: 'hovr', className: 'hovr:flex', suggestion: 'hover' },
+        suggestions: [{ messageId: 'replaceVariant', output: jsx('hover:flex') }],
+      }],
+    },
+    {
+      code: jsx('theme-midnght:flex theme-midnight-x:flex midnight:flex'),
+      options,
+      errors: [
+        {
+          messageId: 'invalidVariantWithSuggestion',
+          data: { variant: 'theme-midnght', className: 'theme-midnght:flex', suggestion: 'theme-midnight' },
+          suggestions: [{ messageId: 'replaceVariant', output: jsx('theme-midnight:flex theme-midnight-x:flex midnight:flex') }],
+        },
+        {
+          messageId: 'invalidVariantWithSuggestion',
+          data: { variant: 'theme-midnight-x', className: 'theme-midnight-x:flex', suggestion: 'theme-midnight' },
+          suggestions: [{ messageId: 'replaceVariant', output: jsx('theme-midnght:flex theme-midnight:flex midnight:flex') }],
+        },
+        { messageId: 'invalidVariant', data: { variant: 'midnight', className: 'midnight:flex' } },
+      ],
+    },
+    {
+      code: jsx('has-[input:flex [&:hover:flex data-[]:flex'),
+      options,
+      errors: [
+        { messageId: 'unbalancedArbitraryValue', data: { className: 'has-[input:flex' } },
+        { messageId: 'unbalancedArbitraryValue', data: { className: '[&:hover:flex' } },
+        { messageId: 'invalidVariant', data: { variant: 'data-[]', className: 'data-[]:flex' } },
+      ],
+    },
+    {
+      code: jsx('nth-x:flex aria-foo:flex has-dark:flex'),
+      options,
+      errors: [
+        { messageId: 'invalidVariant', data: { variant: 'nth-x', className: 'nth-x:flex' } },
+        { messageId: 'invalidVariant', data: { variant: 'aria-foo', className: 'aria-foo:flex' } },
+        { messageId: 'invalidVariant', data: { variant: 'has-dark', className: 'has-dark:flex' } },
+      ],
+    },
+    {
+      code: jsx('w-[10px'),
+      options,
+      errors: [{ messageId: 'unbalancedArbitraryValue', data: { className: 'w-[10px' } }],
+    },
+    {
+      code: jsx('md:w-[calc(1px]'),
+      options,
+      errors: [{ messageId: 'unbalancedArbitraryValue', data: { className: 'md:w-[calc(1px]' } }],
+    },
+    {
+      code: jsx('w-[10px'),
+      options: typeChecked,
+      errors: [{ messageId: 'unbalancedArbitraryValue' }],
+    },
+    {
+      code: jsx('bg-[#ggg] rotate-[45px]'),
+      options: typeChecked,
+      errors: [
+        { messageId: 'invalidArbitraryValue', data: { className: 'bg-[#ggg]', value: '#ggg', expected: 'color or image' } },
+        { messageId: 'invalidArbitraryValue', data: { className: 'rotate-[45px]', value: '45px', expected: 'angle' } },
+      ],
+    },
+    {
+      code: jsx('bg-[var(--missing)]'),
+      options: typeChecked,
+      errors: [{ messageId: 'undefinedVariable', data: { className: 'bg-[var(--missing)]', variable: 'missing' } }],
+    },
+    {
+      code: jsx('flex tw:p-4'),
+      options: prefixed,
+      output: jsx('tw:flex tw:p-4'),
+      errors: [{ messageId: 'missingPrefix', data: { className: 'flex', prefix: 'tw' } }],
+    },
+    // Every linted file reports the setup problem, not just the first one
+    ...['Header.jsx', 'Footer.jsx', 'Footer.jsx'].map(name => ({
+      code: jsx('flex bogus-class'),
+      filename: fixture(name),
+      options: missingEntry,
+      errors: [{ messageId: 'missingCssFile', data: { file: path.relative(process.cwd(), fixture('missing', 'globals.css')) }, line: 1 }],
+    })),
+    {
+      code: jsx('flex'),
+      ...discovered,
+      output: jsx('tw:flex'),
+      errors: [{ messageId: 'missingPrefix', data: { className: 'flex', prefix: 'tw' } }],
+    },
+    {
+      code: jsx('tw:card tw:hover:card'),
+      options: prefixed,
+      output: jsx('card hover:card'),
+      errors: [
+        { messageId: 'unexpectedPrefix', data: { className: 'tw:card', replacement: 'card' } },
+        { messageId: 'unexpectedPrefix', data: { className: 'tw:hover:card', replacement: 'hover:card' } },
+      ],
+    },
+    {
+      code: jsx('legacy-grid flex'),
+      options: [{ cssFile, allowPatterns: ['^legacy-(', '^legacy-'] }],
+      errors: [{ message: /^Invalid pattern '\^legacy-\(' in `allowPatterns` is ignored: /, line: 1, column: 1 }],
+    },
+    {
+      code: jsx('ok-1 js-x'),
+      options: [{ cssFile, allowlistFile: fixture('allowlist-invalid.txt') }],
+      errors: [
+        { message: /^Invalid pattern '\^js-\[a-z\+\$' in '.*allowlist-invalid\.txt' is ignored: / },
+        { messageId: 'undefinedClass', data: { className: 'js-x' } },
+      ],
+    },
+    {
+      code: 'const el = <div className={`flex bogus-a ${active ? \'bogus-b\' : \'p-4\'}`} />;',
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-a' }, column: 34, endColumn: 41 },
+        { messageId: 'undefinedClass', data: { className: 'bogus-b' }, column: 54, endColumn: 61 },
+      ],
+    },
+    {
+      code: "const el = <div className={cond ? 'bogus-a' : 'flex'} />;",
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-a' }, column: 36, endColumn: 43 }],
+    },
+    {
+      code: "const el = <div className={open && 'bogus-and'} />;",
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-and' }, column: 37, endColumn: 46 }],
+    },
+    {
+      code: "const el = <div className={'bogus-left' || 'bogus-right'} />;",
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-left' }, column: 29, endColumn: 39 },
+        { messageId: 'undefinedClass', data: { className: 'bogus-right' }, column: 45, endColumn: 56 },
+      ],
+    },
+    {
+      // `bg-` is glued to `color`, so only the complete classes are checked
+      code: "const el = <div className={'px-4 bogus-a ' + size + ' bg-' + color + ' bogus-b'} />;",
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-a' }, column: 34, endColumn: 41 },
+        { messageId: 'undefinedClass', data: { className: 'bogus-b' }, column: 72, endColumn: 79 },
+      ],
+    },
+    {
+      code: "const c = cn({ 'bogus-key': isError, [active ? 'flex' : 'bogus-computed']: true, underline: 'bogus-value' });",
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-key' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-computed' } },
+      ],
+    },
+    {
+      code: "const c = cn(['flex', ['bogus-nested', cond && 'bogus-and']], ...['bogus-spread']);",
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-nested' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-and' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-spread' } },
+      ],
+    },
+    {
+      code: `const button = cva('flex bogus-base', {
+        variants: { intent: { primary: 'bg-brand bogus-variant', ghost: ['p-4', 'bogus-array'] } },
+        compoundVariants: [{ intent: 'primary', class: 'bogus-compound', className: 'bogus-compound-name' }],
+        defaultVariants: { intent: 'primary' },
+      });`,
+      options,
+      errors: ['bogus-base', 'bogus-variant', 'bogus-array', 'bogus-compound', 'bogus-compound-name']
+        .map(className => ({ messageId: 'undefinedClass', data: { className } })),
+    },
+    {
+      code: `const card = tv({
+        base: 'flex bogus-base',
+        slots: { icon: 'bogus-slot' },
+        variants: { size: { sm: { icon: 'bogus-slot-variant' }, lg: 'p-4 bogus-variant' } },
+        compoundSlots: [{ slots: ['icon'], size: 'sm', class: 'bogus-compound-slot' }],
+      });`,
+      options,
+      errors: ['bogus-base', 'bogus-slot', 'bogus-slot-variant', 'bogus-variant', 'bogus-compound-slot']
+        .map(className => ({ messageId: 'undefinedClass', data: { className } })),
+    },
+    {
+      code: "const c = classy('flex bogus-callee');",
+      options: [{ cssFile, callees: ['classy'] }],
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-callee' } }],
+    },
+    {
+      code: "const c = styleButton('flex bogus-pattern'); const d = theme.styleCard('bogus-member');",
+      options: [{ cssFile, calleePatterns: ['^style[A-Z]'] }],
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-pattern' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-member' } },
+      ],
+    },
+    {
+      code: 'const el = <Card containerClassName="flex bogus-attribute" />;',
+      options: [{ cssFile, attributes: ['ClassName$'] }],
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-attribute' } }],
+    },
+    {
+      code: 'const a = styled`flex bogus-tag`; const b = styled.div`bogus-member-tag`;',
+      options: [{ cssFile, tags: ['styled'] }],
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-tag' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-member-tag' } },
+      ],
+    },
+    {
+      code: "const buttonClasses = { primary: 'flex bogus-variable', sizes: { sm: 'bogus-nested' } }; const label = 'bogus-ignored';",
+      options: [{ cssFile, variables: ['*Classes'] }],
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-variable' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-nested' } },
+      ],
+    },
+    {
+      // `--text-display--line-height` configures `text-display`; it isn't a utility of its own
+      code: jsx('text-display text-display--line-height'),
+      options: themed,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'text-display--line-height' } }],
+    },
+    {
+      code: jsx('jumbo:flex @gigantic:flex'),
+      options: themed,
+      errors: [
+        { messageId: 'invalidVariant', data: { variant: 'jumbo', className: 'jumbo:flex' } },
+        { messageId: 'invalidVariant', data: { variant: '@gigantic', className: '@gigantic:flex' } },
+      ],
+    },
+    {
+      code: jsx('md:flex bg-red-500 text-white'),
+      options: reset,
+      errors: [
+        { messageId: 'invalidVariant', data: { variant: 'md', className: 'md:flex' } },
+        { messageId: 'undefinedClass', data: { className: 'bg-red-500' } },
+        { messageId: 'undefinedClass', data: { className: 'text-white' } },
+      ],
+    },
+  ],
+});
+
+createRuleTester({ parser: 'vue-eslint-parser' }).run('no-undefined-classes (Vue templates)', rule, {
+  valid: [
+    { code: '<template><div class="flex p-4" :class="{ \'bg-brand\': active, hidden: !open }" /></template>', options },
+    { code: '<template><div v-bind:class="[\'flex\', active && \'p-4\', { underline: hover }]" /></template>', options },
+    // Object values are conditions, not classes
+    { code: '<template><div :class="{ flex: \'bogus-value\' }" /></template>', options },
+    { code: '<template><div title="bogus-class" :style="{ color: \'bogus\' }" /></template>', options },
+  ],
+  invalid: [
+    {
+      code: '<template><div class="flex bogus-static" /></template>',
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-static' }, line: 1, column: 28, endColumn: 40 }],
+    },
+    {
+      code: '<template><div :class="{ \'bogus-key\': active, flex: open }" /></template>',
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-key' }, column: 27, endColumn: 36 }],
+    },
+    {
+      code: '<template><div v-bind:class="[\'flex\', active ? \'bogus-a\' : \'p-4\', { \'bogus-b\': open }]" /></template>',
+      options,
+      errors: [
+        { messageId: 'undefinedClass', data: { className: 'bogus-a' } },
+        { messageId: 'undefinedClass', data: { className: 'bogus-b' } },
+      ],
+    },
+  ],
+});
+
+createRuleTester({ parser: 'svelte-eslint-parser' }).run('no-undefined-classes (Svelte)', rule, {
+  valid: [
+    { code: '<div class="flex p-4 {active ? \'bg-brand\' : \'\'}" class:underline={hover}></div>', options },
+    { code: '<div class:hidden={!open} class:md:flex={wide}></div>', options },
+    { code: '<div title="bogus-class"></div>', options },
+  ],
+  invalid: [
+    {
+      code: '<div class="flex bogus-static"></div>',
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-static' }, column: 18, endColumn: 30 }],
+    },
+    {
+      code: '<div class="p-4 {active ? \'bogus-a\' : \'flex\'}"></div>',
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-a' }, column: 28, endColumn: 35 }],
+    },
+    {
+      code: '<div class:bogus-directive={open} class:flex={wide}></div>',
+      options,
+      errors: [{ messageId: 'undefinedClass', data: { className: 'bogus-directive' } }],
+    },
+  ],
+});
@@ -0,0 +1,45 @@
+const rule = require('../../rules/prefer-theme-tokens');
+const { cssFile, createRuleTester, jsx } = require('../helpers');
+
+const options = [{ cssFile }];
+
+createRuleTester().run('prefer-theme-tokens', rule, {
+  valid: [
+    { code: jsx('bg-brand p-gutter'), options },
+    { code: jsx('bg-[#123456] w-[33vw]'), options },
+  ],
+  invalid: [
+    {
+      code: jsx('bg-[#1d4ed8]'),
+      options,
+      output: jsx('bg-brand'),
+      errors: [{ messageId: 'preferThemeToken', data: { className: 'bg-[#1d4ed8]', variable: 'color-brand', replacement: 'bg-brand' } }],
+    },
+    {
+      code: jsx('hover:text-[rgb(29,78,216)]'),
+      options,
+      output: jsx('hover:text-brand'),
+      errors: [{ messageId: 'preferThemeToken' }],
+    },
+    {
+      code: jsx('px-[16px]'),
+      options,
+      output: jsx('px-4'),
+      errors: [{ messageId: 'preferThemeToken', data: { className: 'px-[16px]', variable: 'spacing', replacement: 'px-4' } }],
+    },
+    {
+      // `--spacing-gutter` and 4.5 steps of `--spacing` both match, so nothing is auto-fixed
+      code: jsx('px-[18px]'),
+      options,
+      output: null,
+      errors: [{
+        messageId: 'preferThemeToken',
+        data: { className: 'px-[18px]', variable: 'spacing-gutter', replacement: 'px-gutter' },
+        suggestions: [
+          { messageId: 'replaceClass', output: jsx('px-gutter') },
+          { messageId: 'replaceClass', output: jsx('px-4.5') },
+        ],
+      }],
+    },
+  ],
+});